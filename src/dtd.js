@@ -0,0 +1,612 @@
+// @xml-tools/parser intentionally does not implement the internal subset of a
+// DOCTYPE declaration (https://www.w3.org/TR/xml/#NT-intSubset). To support
+// it, we find the subset ourselves, parse it into nodes that look like the
+// rest of the simplified tree, and blank it out of the source that gets handed
+// to @xml-tools/parser so that every other offset stays the same.
+
+const namePattern =
+  /[-.0-9:A-Z_a-z\u00B7\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u037D\u037F-\u1FFF\u200C-\u200D\u203F-\u2040\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD]/;
+
+const peReferencePattern = /%[^\s%;<>\]]+;/y;
+
+const declarationKeywords = [
+  "<!ELEMENT",
+  "<!ATTLIST",
+  "<!ENTITY",
+  "<!NOTATION"
+];
+
+function isWhitespace(char) {
+  return char === " " || char === "\t" || char === "\n" || char === "\r";
+}
+
+// Build a function that converts an offset in the source into the same kind of
+// location information that chevrotain attaches to its CST nodes (1-based
+// lines and columns, inclusive ends).
+function createLocator(text) {
+  const lineStarts = [0];
+
+  for (let idx = 0; idx < text.length; idx += 1) {
+    if (text[idx] === "\n") {
+      lineStarts.push(idx + 1);
+    }
+  }
+
+  function position(offset) {
+    let lowIdx = 0;
+    let highIdx = lineStarts.length - 1;
+
+    while (lowIdx < highIdx) {
+      const midIdx = (lowIdx + highIdx + 1) >> 1;
+      if (lineStarts[midIdx] <= offset) lowIdx = midIdx;
+      else highIdx = midIdx - 1;
+    }
+
+    return { line: lowIdx + 1, column: offset - lineStarts[lowIdx] + 1 };
+  }
+
+  return (startOffset, endOffset) => {
+    const start = position(startOffset);
+    const end = position(endOffset);
+
+    return {
+      startOffset,
+      startLine: start.line,
+      startColumn: start.column,
+      endOffset,
+      endLine: end.line,
+      endColumn: end.column
+    };
+  };
+}
+
+// Skip over the whitespace, comments, and processing instructions that can
+// come before a DOCTYPE and return the offset of the DOCTYPE if there is one.
+function findDocType(text) {
+  let offset = 0;
+
+  while (offset < text.length) {
+    if (isWhitespace(text[offset])) {
+      offset += 1;
+    } else if (text.startsWith("<!--", offset)) {
+      const end = text.indexOf("-->", offset + 4);
+      if (end === -1) return -1;
+      offset = end + 3;
+    } else if (text.startsWith("<?", offset)) {
+      const end = text.indexOf("?>", offset + 2);
+      if (end === -1) return -1;
+      offset = end + 2;
+    } else {
+      return text.startsWith("<!DOCTYPE", offset) ? offset : -1;
+    }
+  }
+
+  return -1;
+}
+
+// Split the inside of a markup declaration (everything between the keyword and
+// the closing >) into names, quoted literals, and punctuation.
+function tokenize(text, startOffset, endOffset) {
+  const tokens = [];
+  let offset = startOffset;
+
+  while (offset < endOffset) {
+    const char = text[offset];
+
+    if (isWhitespace(char)) {
+      offset += 1;
+    } else if (char === '"' || char === "'") {
+      const end = text.indexOf(char, offset + 1);
+      tokens.push({
+        type: "string",
+        image: text.slice(offset, end + 1),
+        offset
+      });
+      offset = end + 1;
+    } else if (char === "#" || namePattern.test(char)) {
+      // Names, keywords like #PCDATA, and the name tokens of enumerations.
+      let end = offset + 1;
+      while (end < endOffset && namePattern.test(text[end])) end += 1;
+      tokens.push({ type: "name", image: text.slice(offset, end), offset });
+      offset = end;
+    } else {
+      tokens.push({ type: "punctuation", image: char, offset });
+      offset += 1;
+    }
+  }
+
+  return tokens;
+}
+
+// Join the tokens of a content model or an enumerated type back together with
+// consistent spacing, as in (a, b | c)*.
+function printGroup(tokens) {
+  let printed = "";
+
+  tokens.forEach(({ image }, index) => {
+    if (image === ",") {
+      printed += ", ";
+    } else if (image === "|") {
+      printed += " | ";
+    } else if (
+      index > 0 &&
+      image !== ")" &&
+      !["?", "*", "+"].includes(image) &&
+      !printed.endsWith("(") &&
+      !printed.endsWith(" ")
+    ) {
+      printed += ` ${image}`;
+    } else {
+      printed += image;
+    }
+  });
+
+  return printed;
+}
+
+// Read the tokens of a parenthesized group, including any trailing occurrence
+// indicator, starting at the given index.
+function takeGroup(tokens, index) {
+  let depth = 0;
+  let cursor = index;
+
+  do {
+    if (tokens[cursor].image === "(") depth += 1;
+    if (tokens[cursor].image === ")") depth -= 1;
+    cursor += 1;
+  } while (depth > 0 && cursor < tokens.length);
+
+  if (
+    cursor < tokens.length &&
+    ["?", "*", "+"].includes(tokens[cursor].image)
+  ) {
+    cursor += 1;
+  }
+
+  return tokens.slice(index, cursor);
+}
+
+// Returns the number of tokens that make up the given external ID.
+function getExternalIDLength({ Public, SystemLiteral }) {
+  return Public && SystemLiteral ? 3 : 2;
+}
+
+function createDeclarationParser(text, locate) {
+  function fail(message, offset) {
+    const location = locate(offset, offset);
+    const error = new Error(message);
+
+    error.location = location;
+    throw error;
+  }
+
+  function expect(tokens, index, type, offset) {
+    const token = tokens[index];
+
+    if (!token || token.type !== type) {
+      fail(
+        `Expected a ${type} in markup declaration but found ${
+          token ? `'${token.image}'` : "'>'"
+        }`,
+        token ? token.offset : offset
+      );
+    }
+
+    return token.image;
+  }
+
+  function parseExternalID(tokens, index, offset, allowPublicOnly) {
+    const keyword = expect(tokens, index, "name", offset);
+
+    if (keyword === "SYSTEM") {
+      const SystemLiteral = expect(tokens, index + 1, "string", offset);
+      const last = tokens[index + 1];
+
+      return {
+        name: "externalID",
+        Public: null,
+        PubIDLiteral: null,
+        System: keyword,
+        SystemLiteral,
+        location: locate(
+          tokens[index].offset,
+          last.offset + last.image.length - 1
+        )
+      };
+    }
+
+    if (keyword === "PUBLIC") {
+      const PubIDLiteral = expect(tokens, index + 1, "string", offset);
+      const hasSystemLiteral =
+        tokens[index + 2] && tokens[index + 2].type === "string";
+
+      if (!hasSystemLiteral && !allowPublicOnly) {
+        expect(tokens, index + 2, "string", offset);
+      }
+
+      const last = tokens[hasSystemLiteral ? index + 2 : index + 1];
+      return {
+        name: "externalID",
+        Public: keyword,
+        PubIDLiteral,
+        System: null,
+        SystemLiteral: hasSystemLiteral ? tokens[index + 2].image : null,
+        location: locate(
+          tokens[index].offset,
+          last.offset + last.image.length - 1
+        )
+      };
+    }
+
+    fail(
+      `Expected SYSTEM or PUBLIC but found '${keyword}'`,
+      tokens[index].offset
+    );
+  }
+
+  // <!ELEMENT Name contentspec>
+  function parseElementDecl(OPEN, tokens, offset) {
+    const Name = expect(tokens, 0, "name", offset);
+    const contentspec = tokens.slice(1);
+
+    if (contentspec.length === 0) {
+      fail("Expected a content specification in element declaration", offset);
+    }
+
+    return {
+      name: "elementDecl",
+      OPEN,
+      Name,
+      contentspec: printGroup(contentspec)
+    };
+  }
+
+  // <!ATTLIST Name (AttName AttType DefaultDecl)*>
+  function parseAttlistDecl(OPEN, tokens, offset) {
+    const Name = expect(tokens, 0, "name", offset);
+    const attDef = [];
+    let index = 1;
+
+    while (index < tokens.length) {
+      const start = tokens[index].offset;
+      const attName = expect(tokens, index, "name", offset);
+      let AttType;
+
+      index += 1;
+      if (tokens[index] && tokens[index].image === "(") {
+        const group = takeGroup(tokens, index);
+        AttType = printGroup(group);
+        index += group.length;
+      } else {
+        AttType = expect(tokens, index, "name", offset);
+        index += 1;
+
+        if (AttType === "NOTATION") {
+          if (!tokens[index] || tokens[index].image !== "(") {
+            expect(tokens, index, "enumeration", offset);
+          }
+
+          const group = takeGroup(tokens, index);
+          AttType = `${AttType} ${printGroup(group)}`;
+          index += group.length;
+        }
+      }
+
+      let DefaultDecl = null;
+      let AttValue = null;
+
+      if (tokens[index] && tokens[index].type === "name") {
+        DefaultDecl = tokens[index].image;
+        index += 1;
+
+        if (DefaultDecl === "#FIXED") {
+          AttValue = expect(tokens, index, "string", offset);
+          index += 1;
+        } else if (DefaultDecl !== "#REQUIRED" && DefaultDecl !== "#IMPLIED") {
+          fail(
+            `Unexpected default declaration '${DefaultDecl}'`,
+            tokens[index - 1].offset
+          );
+        }
+      } else {
+        AttValue = expect(tokens, index, "string", offset);
+        index += 1;
+      }
+
+      const last = tokens[index - 1];
+      attDef.push({
+        name: "attDef",
+        Name: attName,
+        AttType,
+        DefaultDecl,
+        AttValue,
+        location: locate(start, last.offset + last.image.length - 1)
+      });
+    }
+
+    return { name: "attlistDecl", OPEN, Name, attDef };
+  }
+
+  // <!ENTITY [%] Name (EntityValue | ExternalID [NDATA Name])>
+  function parseEntityDecl(OPEN, tokens, offset) {
+    let index = 0;
+    let PERCENT = null;
+
+    if (tokens[index] && tokens[index].image === "%") {
+      PERCENT = "%";
+      index += 1;
+    }
+
+    const Name = expect(tokens, index, "name", offset);
+    let EntityValue = null;
+    let externalID = null;
+    let NDATA = null;
+    let NDataName = null;
+
+    index += 1;
+    if (tokens[index] && tokens[index].type === "string") {
+      EntityValue = tokens[index].image;
+      index += 1;
+    } else {
+      externalID = parseExternalID(tokens, index, offset, false);
+      index += getExternalIDLength(externalID);
+
+      if (tokens[index] && tokens[index].image === "NDATA" && !PERCENT) {
+        NDATA = tokens[index].image;
+        NDataName = expect(tokens, index + 1, "name", offset);
+        index += 2;
+      }
+    }
+
+    if (index < tokens.length) {
+      fail(
+        `Unexpected '${tokens[index].image}' in entity declaration`,
+        tokens[index].offset
+      );
+    }
+
+    return {
+      name: "entityDecl",
+      OPEN,
+      PERCENT,
+      Name,
+      EntityValue,
+      externalID,
+      NDATA,
+      NDataName
+    };
+  }
+
+  // <!NOTATION Name (ExternalID | PublicID)>
+  function parseNotationDecl(OPEN, tokens, offset) {
+    const Name = expect(tokens, 0, "name", offset);
+    const externalID = parseExternalID(tokens, 1, offset, true);
+    const consumed = 1 + getExternalIDLength(externalID);
+
+    if (consumed < tokens.length) {
+      fail(
+        `Unexpected '${tokens[consumed].image}' in notation declaration`,
+        tokens[consumed].offset
+      );
+    }
+
+    return { name: "notationDecl", OPEN, Name, externalID };
+  }
+
+  const parsers = {
+    "<!ELEMENT": parseElementDecl,
+    "<!ATTLIST": parseAttlistDecl,
+    "<!ENTITY": parseEntityDecl,
+    "<!NOTATION": parseNotationDecl
+  };
+
+  return (OPEN, startOffset, endOffset) => {
+    const tokens = tokenize(text, startOffset + OPEN.length, endOffset);
+    const node = parsers[OPEN](OPEN, tokens, endOffset);
+
+    return Object.assign(node, {
+      CLOSE: ">",
+      location: locate(startOffset, endOffset)
+    });
+  };
+}
+
+// Find the end of a markup declaration, skipping over quoted literals, and
+// return the offset of its closing >.
+function findDeclarationEnd(text, offset) {
+  let quote = null;
+
+  for (let idx = offset; idx < text.length; idx += 1) {
+    const char = text[idx];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ">") {
+      return idx;
+    }
+  }
+
+  return -1;
+}
+
+// Parse the internal subset that starts at the given [. Errors are collected
+// into the given list so that we can keep going and report all of them. If the
+// end of the subset can't be found, null is returned.
+function parseIntSubset(text, openOffset, locate, errors) {
+  const parseDeclaration = createDeclarationParser(text, locate);
+  const markupdecl = [];
+  let offset = openOffset + 1;
+
+  function addError(message, errorOffset = offset) {
+    const error = new Error(message);
+
+    error.location = locate(errorOffset, errorOffset);
+    errors.push(error);
+  }
+
+  // Skip ahead to the next character that could start something we recognize
+  // after an error, returning false if there isn't one.
+  function skipToNext() {
+    const next = text.slice(offset + 1).search(/[<%\]]/);
+
+    offset += next + 1;
+    return next !== -1;
+  }
+
+  while (offset < text.length) {
+    if (isWhitespace(text[offset])) {
+      offset += 1;
+    } else if (text[offset] === "]") {
+      return {
+        name: "intSubset",
+        OPEN: "[",
+        markupdecl,
+        CLOSE: "]",
+        location: locate(openOffset, offset)
+      };
+    } else if (text.startsWith("<!--", offset)) {
+      const end = text.indexOf("-->", offset + 4);
+      if (end === -1) {
+        addError("Unterminated comment in internal subset");
+        return null;
+      }
+
+      markupdecl.push({
+        name: "misc",
+        Comment: text.slice(offset, end + 3),
+        PROCESSING_INSTRUCTION: null,
+        SEA_WS: null,
+        location: locate(offset, end + 2)
+      });
+      offset = end + 3;
+    } else if (text.startsWith("<?", offset)) {
+      const end = text.indexOf("?>", offset + 2);
+      if (end === -1) {
+        addError("Unterminated processing instruction in internal subset");
+        return null;
+      }
+
+      markupdecl.push({
+        name: "misc",
+        Comment: null,
+        PROCESSING_INSTRUCTION: text.slice(offset, end + 2),
+        SEA_WS: null,
+        location: locate(offset, end + 1)
+      });
+      offset = end + 2;
+    } else if (text[offset] === "%") {
+      peReferencePattern.lastIndex = offset;
+      const match = peReferencePattern.exec(text);
+
+      if (!match) {
+        addError("Invalid parameter entity reference in internal subset");
+        if (!skipToNext()) return null;
+        continue;
+      }
+
+      markupdecl.push({
+        name: "peReference",
+        PEReference: match[0],
+        location: locate(offset, offset + match[0].length - 1)
+      });
+      offset += match[0].length;
+    } else {
+      const OPEN = declarationKeywords.find(
+        (keyword) =>
+          text.startsWith(keyword, offset) &&
+          isWhitespace(text[offset + keyword.length])
+      );
+
+      // If this isn't the start of anything we recognize, then report it and
+      // skip ahead to the next thing that might be.
+      if (!OPEN) {
+        addError(`Unexpected character '${text[offset]}' in internal subset`);
+        if (!skipToNext()) return null;
+        continue;
+      }
+
+      const end = findDeclarationEnd(text, offset + OPEN.length);
+      if (end === -1) {
+        addError("Unterminated markup declaration in internal subset");
+        return null;
+      }
+
+      try {
+        markupdecl.push(parseDeclaration(OPEN, offset, end));
+      } catch (error) {
+        if (!error.location) {
+          throw error;
+        }
+
+        errors.push(error);
+      }
+
+      offset = end + 1;
+    }
+  }
+
+  addError("Unterminated internal subset", openOffset);
+  return null;
+}
+
+// Find the internal subset of the DOCTYPE (if there is one) and return it
+// parsed along with a copy of the text that has it replaced with whitespace.
+// Newlines are kept so that line and column information is unaffected. Any
+// errors found along the way are returned with the location they occurred.
+export function extractIntSubset(text) {
+  const docTypeOffset = findDocType(text);
+
+  if (docTypeOffset === -1) {
+    return { text, intSubset: null, errors: [] };
+  }
+
+  // Find the [ that starts the internal subset, skipping over the quoted
+  // literals of the external ID. If we get to the end of the DOCTYPE first,
+  // then there's no internal subset to worry about.
+  let openOffset = -1;
+  let quote = null;
+
+  for (let idx = docTypeOffset + 9; idx < text.length; idx += 1) {
+    const char = text[idx];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "[") {
+      openOffset = idx;
+      break;
+    } else if (char === ">" || char === "<") {
+      break;
+    }
+  }
+
+  if (openOffset === -1) {
+    return { text, intSubset: null, errors: [] };
+  }
+
+  const errors = [];
+  const intSubset = parseIntSubset(
+    text,
+    openOffset,
+    createLocator(text),
+    errors
+  );
+
+  if (!intSubset) {
+    return { text, intSubset: null, errors };
+  }
+
+  const closeOffset = intSubset.location.endOffset;
+  const blanked = text
+    .slice(openOffset, closeOffset + 1)
+    .replace(/[^\r\n]/g, " ");
+
+  return {
+    text: text.slice(0, openOffset) + blanked + text.slice(closeOffset + 1),
+    intSubset,
+    errors
+  };
+}
@@ -1,4 +1,9 @@
 import * as doc from "prettier/doc";
+import {
+  getElementNamespaceURI,
+  svgNamespace,
+  xhtmlNamespace
+} from "./namespaces.js";
 
 const {
   dedentToRoot,
@@ -33,37 +38,192 @@ function getElementTags(path, opts, print) {
   };
 }
 
-// Returns the value of the type tag if there is one, otherwise returns null.
-function getTagType(attributes) {
-  for (const attribute of attributes) {
-    if (attribute.Name === "type") {
-      const value = attribute.STRING;
+// The parsers for the MIME types that script and style elements can have in
+// their type attribute. Entries from the xmlEmbeddedMimeTypes option are added
+// on top of these.
+const mimeTypeParsers = {
+  "application/ecmascript": "babel",
+  "application/javascript": "babel",
+  "application/json": "json",
+  "application/ld+json": "json",
+  "application/typescript": "typescript",
+  "application/x-javascript": "babel",
+  "application/x-typescript": "typescript",
+  "application/x-yaml": "yaml",
+  importmap: "json",
+  module: "babel",
+  speculationrules: "json",
+  "text/babel": "babel",
+  "text/css": "css",
+  "text/ecmascript": "babel",
+  "text/html": "html",
+  "text/javascript": "babel",
+  "text/jsx": "babel",
+  "text/less": "less",
+  "text/markdown": "markdown",
+  "text/typescript": "typescript",
+  "text/x-less": "less",
+  "text/x-markdown": "markdown",
+  "text/x-scss": "scss",
+  "text/x-typescript": "typescript",
+  "text/x-yaml": "yaml",
+  "text/yaml": "yaml"
+};
 
-      if (value.startsWith('"text/') && value.endsWith('"')) {
-        return value.slice(6, -1);
-      }
+// The parsers for the values of the lang attribute of script and style
+// elements, as in <script lang="ts">
+const langParsers = {
+  css: "css",
+  javascript: "babel",
+  js: "babel",
+  json: "json",
+  jsx: "babel",
+  less: "less",
+  markdown: "markdown",
+  md: "markdown",
+  scss: "scss",
+  ts: "typescript",
+  tsx: "typescript",
+  yaml: "yaml",
+  yml: "yaml"
+};
+
+// Parse the entries of the xmlEmbeddedMimeTypes option, which look like
+// type=parser, and merge them into the built-in MIME types
+function getMimeTypeParsers(opts) {
+  const parsers = { ...mimeTypeParsers };
+
+  (opts.xmlEmbeddedMimeTypes || []).forEach((entry) => {
+    const match = entry.match(/^\s*([^\s=]+)\s*=\s*(\S+)\s*$/);
+
+    if (!match) {
+      throw new Error(`Invalid xmlEmbeddedMimeTypes entry: ${entry}`);
     }
+
+    parsers[match[1].toLowerCase()] = match[2];
+  });
+
+  return parsers;
+}
+
+// Returns the name of the parser for the script or style element at the given
+// path. That's based on its type attribute if it has one, then its lang or
+// language attribute. Otherwise it's JavaScript for scripts and CSS for
+// styles, but only in XHTML and SVG, since other vocabularies use elements
+// with these names for other things.
+function getTagParser(path, name, opts) {
+  const attributes = path.getValue().attribute;
+
+  const getValue = (attributeName) => {
+    const attribute = attributes.find(({ Name }) => Name === attributeName);
+    const value = attribute && attribute.STRING.slice(1, -1).trim();
+
+    return value || null;
+  };
+
+  const type = getValue("type");
+  if (type) {
+    // Parameters are ignored, as in text/javascript; charset=utf-8
+    const mimeType = type.split(";")[0].trim();
+    const parsers = getMimeTypeParsers(opts);
+
+    if (Object.prototype.hasOwnProperty.call(parsers, mimeType.toLowerCase())) {
+      return parsers[mimeType.toLowerCase()];
+    }
+
+    // Otherwise a text/xxx type uses xxx as the name of the parser
+    return mimeType.startsWith("text/") ? mimeType.slice(5) : null;
   }
 
-  return null;
+  const getLangParser = (lang) =>
+    Object.prototype.hasOwnProperty.call(langParsers, lang.toLowerCase())
+      ? langParsers[lang.toLowerCase()]
+      : lang;
+
+  // The lang attribute is also the language of the text in XHTML, as in
+  // lang="en", so it's only used if it names a language that can be parsed.
+  // The language attribute is always the language of the script.
+  const lang = getValue("lang");
+  if (lang && hasParser(opts, getLangParser(lang))) {
+    return getLangParser(lang);
+  }
+
+  const language = getValue("language");
+  if (language) {
+    return getLangParser(language);
+  }
+
+  if (![svgNamespace, xhtmlNamespace].includes(getElementNamespaceURI(path))) {
+    return null;
+  }
+
+  return name === "script" ? "babel" : "css";
+}
+
+// Parse the entries of the xmlEmbeddedLanguages option, which look like
+// name=parser or name[attribute=value]=parser (where the value is optional and
+// may be quoted)
+function getEmbeddedLanguages(opts) {
+  return (opts.xmlEmbeddedLanguages || []).map((entry) => {
+    const match = entry.match(
+      /^\s*([^\s[=]+)\s*(?:\[\s*([^\s=\]]+)\s*(?:=\s*("[^"]*"|'[^']*'|[^\]]*?)\s*)?\])?\s*=\s*(\S+)\s*$/
+    );
+
+    if (!match) {
+      throw new Error(`Invalid xmlEmbeddedLanguages entry: ${entry}`);
+    }
+
+    const [, name, attributeName, attributeValue, parser] = match;
+    return {
+      name,
+      attributeName: attributeName || null,
+      attributeValue:
+        attributeValue && /^["']/.test(attributeValue)
+          ? attributeValue.slice(1, -1)
+          : attributeValue || null,
+      parser
+    };
+  });
+}
+
+// Returns the name of the parser from the first entry of the
+// xmlEmbeddedLanguages option that matches the given element node, otherwise
+// returns null.
+function getConfiguredParser(node, opts) {
+  const { Name, attribute } = node;
+  const language = getEmbeddedLanguages(opts).find(
+    ({ name, attributeName, attributeValue }) =>
+      name === Name &&
+      (!attributeName ||
+        attribute.some(
+          ({ Name, STRING }) =>
+            Name === attributeName &&
+            (attributeValue === null || STRING.slice(1, -1) === attributeValue)
+        ))
+  );
+
+  return language ? language.parser : null;
 }
 
 // Get the name of the parser that is represented by the given element node,
 // return null if a matching parser cannot be found
-function getParser(node, opts) {
-  const { Name, attribute } = node;
+function getParser(path, opts) {
+  const node = path.getValue();
+  const { Name } = node;
   let parser = Name.toLowerCase();
 
-  // We don't want to deal with some weird recursive parser situation, so we
-  // need to explicitly call out the XML parser here and just return null
-  if (parser === "xml") {
-    return null;
-  }
+  // If the element matches one of the configured embedded languages, then
+  // that takes precedence over all of the built-in rules
+  const configured = getConfiguredParser(node, opts);
 
-  // If this is a style tag or a script tag with a text/xxx type then we will
-  // use xxx as the name of the parser
-  if ((parser === "style" || parser === "script") && attribute.length > 0) {
-    parser = getTagType(attribute);
+  if (configured) {
+    parser = configured;
+  } else if (parser === "xml") {
+    // We don't want to deal with some weird recursive parser situation, so we
+    // need to explicitly call out the XML parser here and just return null
+    return null;
+  } else if (parser === "style" || parser === "script") {
+    parser = getTagParser(path, parser, opts);
   }
 
   // If the name of the parser is "javascript", then we're going to switch over
@@ -75,20 +235,243 @@ function getParser(node, opts) {
   // If there is a plugin that has a parser that matches the name of this
   // element, then we're going to assume that's correct for embedding and go
   // ahead and switch to that parser
-  if (
-    opts.plugins.some(
-      (plugin) =>
-        typeof plugin !== "string" &&
-        plugin.parsers &&
-        Object.prototype.hasOwnProperty.call(plugin.parsers, parser)
-    )
-  ) {
+  if (hasParser(opts, parser)) {
     return parser;
   }
 
   return null;
 }
 
+// Returns true if one of the loaded plugins has a parser with the given name
+function hasParser(opts, parser) {
+  return opts.plugins.some(
+    (plugin) =>
+      typeof plugin !== "string" &&
+      plugin.parsers &&
+      Object.prototype.hasOwnProperty.call(plugin.parsers, parser)
+  );
+}
+
+// The event handler attributes of HTML and SVG, whose values are JavaScript.
+// Other vocabularies have attributes that start with "on" too, as in log4j's
+// onMatch, so only these names are formatted.
+const eventHandlerAttributes = [
+  "onabort",
+  "onafterprint",
+  "onanimationend",
+  "onanimationiteration",
+  "onanimationstart",
+  "onbeforeprint",
+  "onbeforeunload",
+  "onbegin",
+  "onblur",
+  "oncancel",
+  "oncanplay",
+  "oncanplaythrough",
+  "onchange",
+  "onclick",
+  "onclose",
+  "oncontextmenu",
+  "oncopy",
+  "oncuechange",
+  "oncut",
+  "ondblclick",
+  "ondrag",
+  "ondragend",
+  "ondragenter",
+  "ondragleave",
+  "ondragover",
+  "ondragstart",
+  "ondrop",
+  "ondurationchange",
+  "onemptied",
+  "onend",
+  "onended",
+  "onerror",
+  "onfocus",
+  "onfocusin",
+  "onfocusout",
+  "onhashchange",
+  "oninput",
+  "oninvalid",
+  "onkeydown",
+  "onkeypress",
+  "onkeyup",
+  "onload",
+  "onloadeddata",
+  "onloadedmetadata",
+  "onloadstart",
+  "onmessage",
+  "onmousedown",
+  "onmouseenter",
+  "onmouseleave",
+  "onmousemove",
+  "onmouseout",
+  "onmouseover",
+  "onmouseup",
+  "onoffline",
+  "ononline",
+  "onpagehide",
+  "onpageshow",
+  "onpaste",
+  "onpause",
+  "onplay",
+  "onplaying",
+  "onpointercancel",
+  "onpointerdown",
+  "onpointerenter",
+  "onpointerleave",
+  "onpointermove",
+  "onpointerout",
+  "onpointerover",
+  "onpointerup",
+  "onpopstate",
+  "onprogress",
+  "onratechange",
+  "onrepeat",
+  "onreset",
+  "onresize",
+  "onscroll",
+  "onseeked",
+  "onseeking",
+  "onselect",
+  "onstalled",
+  "onstorage",
+  "onsubmit",
+  "onsuspend",
+  "ontimeupdate",
+  "ontoggle",
+  "ontouchcancel",
+  "ontouchend",
+  "ontouchmove",
+  "ontouchstart",
+  "ontransitionend",
+  "onunload",
+  "onvolumechange",
+  "onwaiting",
+  "onwheel",
+  "onzoom"
+];
+
+// Get the name of the parser that should be used to format the value of the
+// given attribute node, return null if it should be printed as it is
+function getAttributeParser(node, opts) {
+  const { Name, STRING } = node;
+  let parser = null;
+
+  if (Name === "style" && /^\s*[-\w]+\s*:/.test(STRING.slice(1, -1))) {
+    // Only values that look like CSS declarations, since other dialects use
+    // this attribute for other things, as in Android's style="@style/name"
+    parser = "css";
+  } else if (eventHandlerAttributes.includes(Name.toLowerCase())) {
+    // This is the parser that prettier uses for event handlers in Vue
+    // templates. It allows a list of statements, but leaves off the semicolon
+    // if the handler is a single expression.
+    parser = "__vue_event_binding";
+  } else if (Name.startsWith("data-") && /^\s*[[{]/.test(STRING.slice(1, -1))) {
+    parser = "json";
+  }
+
+  return parser && hasParser(opts, parser) ? parser : null;
+}
+
+// Get the quote that the given attribute node is going to be printed with
+function getAttributeQuote(node, opts) {
+  // Embedded code uses the other quote for its own strings, so there's
+  // nothing for auto mode to weigh and double quotes are preferred.
+  if (
+    opts.xmlQuoteAttributes === "double" ||
+    opts.xmlQuoteAttributes === "auto"
+  ) {
+    return '"';
+  }
+
+  if (opts.xmlQuoteAttributes === "single") {
+    return "'";
+  }
+
+  return node.STRING[0];
+}
+
+const predefinedEntities = {
+  amp: "&",
+  apos: "'",
+  gt: ">",
+  lt: "<",
+  quot: '"'
+};
+
+// Get the source string that will be passed into the embedded parser from the
+// value of the attribute node. Only the predefined entities are decoded, so if
+// there are any other references in the value, then return null.
+function getAttributeSource(node) {
+  let decodable = true;
+  const source = node.STRING.slice(1, -1).replace(
+    /&([^\s&;]*);/g,
+    (match, name) => {
+      if (Object.prototype.hasOwnProperty.call(predefinedEntities, name)) {
+        return predefinedEntities[name];
+      }
+
+      decodable = false;
+      return match;
+    }
+  );
+
+  return decodable ? source : null;
+}
+
+// Escape the characters in the strings of the formatted doc that cannot appear
+// as they are inside of an attribute value with the given quote
+function escapeAttributeDoc(docNode, quote) {
+  return doc.utils.mapDoc(docNode, (child) =>
+    typeof child === "string"
+      ? child
+          .replaceAll("&", "&amp;")
+          .replaceAll("<", "&lt;")
+          .replaceAll(quote, quote === '"' ? "&quot;" : "&apos;")
+      : child
+  );
+}
+
+function embedAttribute(path, opts) {
+  const node = path.getValue();
+  const parser = getAttributeParser(node, opts);
+  if (!parser) {
+    return;
+  }
+
+  const source = getAttributeSource(node);
+  if (source === null || source.trim() === "") {
+    return;
+  }
+
+  return async function (textToDoc) {
+    // Prefer whichever quote the attribute isn't using for strings inside of
+    // the formatted value, so that they don't need to be escaped
+    const quote = getAttributeQuote(node, opts);
+    // Statements always end with semicolons, since the newlines between them
+    // are normalized to spaces when the attribute value is read.
+    const docNode = await textToDoc(source, {
+      parser,
+      semi: true,
+      singleQuote: quote === '"',
+      __isHTMLStyleAttribute: parser === "css"
+    });
+
+    // Keep the value on the same line as the attribute name if it fits,
+    // otherwise break it onto its own indented lines inside the quotes
+    return group([
+      node.Name,
+      node.EQUALS,
+      quote,
+      indent([softline, escapeAttributeDoc(docNode, quote)]),
+      softline,
+      quote
+    ]);
+  };
+}
+
 // Get the source string that will be passed into the embedded parser from the
 // content of the inside of the element node
 function getSource(content) {
@@ -107,9 +490,31 @@ function getSource(content) {
     .join("");
 }
 
+// Get the source string that will be passed into the embedded parser from the
+// CDATA section inside of the element node, without its delimiters
+function getCDataSource(content) {
+  return content.CData[0].image.slice("<![CDATA[".length, -"]]>".length);
+}
+
+// Format the given doc into a string and then split the CDATA section around
+// every ]]> in it, so that the formatted code can never end the section early
+function printCData(docNode, opts) {
+  const { formatted } = doc.printer.printDocToString(docNode, {
+    ...opts,
+    endOfLine: "lf"
+  });
+
+  return formatted.replaceAll("]]>", "]]]]><![CDATA[>");
+}
+
 function embed(path, opts) {
   const node = path.getValue();
 
+  // If the node is an attribute, then it gets its own handling
+  if (node.name === "attribute") {
+    return embedAttribute(path, opts);
+  }
+
   // If the node isn't an element node, then skip
   if (node.name !== "element") {
     return;
@@ -117,7 +522,7 @@ function embed(path, opts) {
 
   // If the name of the node does not correspond to the name of a parser that
   // prettier knows about, then skip
-  const parser = getParser(node, opts);
+  const parser = getParser(path, opts);
   if (!parser) {
     return;
   }
@@ -128,11 +533,10 @@ function embed(path, opts) {
   }
 
   // If the node does not actually contain content, or it contains any content
-  // that is not just plain text, then skip.
+  // that is not just plain text or a CDATA section, then skip.
   const content = node.content;
   if (
-    content.chardata.length === 0 ||
-    content.CData.length > 0 ||
+    (content.chardata.length === 0 && content.CData.length === 0) ||
     content.Comment.length > 0 ||
     content.element.length > 0 ||
     content.PROCESSING_INSTRUCTION.length > 0 ||
@@ -141,10 +545,41 @@ function embed(path, opts) {
     return;
   }
 
+  // If the content is only whitespace, then there's nothing to format.
+  const isCData = content.CData.length > 0;
+  if (!isCData && content.chardata.every((node) => !node.TEXT)) {
+    return;
+  }
+
+  // If there is a CDATA section, then it has to be the only thing inside the
+  // element other than whitespace, so that we know what to wrap back up.
+  if (
+    isCData &&
+    (content.CData.length > 1 || content.chardata.some((node) => node.TEXT))
+  ) {
+    return;
+  }
+
   return async function (textToDoc, print) {
     // Get the open and close tags of this element, then return the properly
     // formatted content enclosed within them
     const { openTag, closeTag } = getElementTags(path, opts, print);
+
+    // If the content is wrapped in a CDATA section, then keep it wrapped
+    if (isCData) {
+      const docNode = await textToDoc(getCDataSource(content), { parser });
+
+      return group([
+        openTag,
+        "<![CDATA[",
+        literalline,
+        dedentToRoot(doc.utils.replaceEndOfLine(printCData(docNode, opts))),
+        hardline,
+        "]]>",
+        closeTag
+      ]);
+    }
+
     const docNode = await textToDoc(getSource(content), { parser });
 
     return group([
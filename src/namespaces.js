@@ -0,0 +1,33 @@
+// The namespaces of the vocabularies that get special handling
+export const svgNamespace = "http://www.w3.org/2000/svg";
+export const xhtmlNamespace = "http://www.w3.org/1999/xhtml";
+
+// Returns the namespace URI that the given prefix is bound to, looking at the
+// node at the given path and its ancestors. An empty prefix looks up the
+// default namespace.
+function getNamespaceURI(path, prefix) {
+  const declaration = prefix ? `xmlns:${prefix}` : "xmlns";
+  let node = path.getValue();
+
+  for (let level = 0; node; node = path.getParentNode(level++)) {
+    if (node.name === "element") {
+      const attribute = node.attribute.find(({ Name }) => Name === declaration);
+
+      if (attribute) {
+        return attribute.STRING.slice(1, -1);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Returns the namespace URI of the element at the given path, or of the
+// element that the attribute at the given path is on.
+export function getElementNamespaceURI(path) {
+  const node = path.getValue();
+  const element = node.name === "element" ? node : path.getParentNode();
+  const parts = element.Name.split(":");
+
+  return getNamespaceURI(path, parts.length > 1 ? parts[0] : "");
+}
@@ -1,6 +1,7 @@
 import { parse as xmlToolsParse } from "@xml-tools/parser";
+import { extractIntSubset } from "./dtd.js";
 
-function createError(message, options) {
+export function createError(message, options) {
   // TODO: Use `Error.prototype.cause` when we drop support for Node.js<18.7.0
 
   // Construct an error similar to the ones thrown by Prettier.
@@ -16,6 +17,105 @@ function createError(message, options) {
   return Object.assign(error, options);
 }
 
+// Matches a single piece of whitespace, comment, or processing instruction
+// (including the XML declaration) from the start of the document.
+const leadingMiscPattern = /\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->/y;
+const pragmaPattern = /^<!--\s*@(?:format|prettier)\s*-->$/;
+
+// Check whether or not one of the comments before the DOCTYPE or the root
+// element is a @format or @prettier pragma.
+function hasPragma(text) {
+  leadingMiscPattern.lastIndex = 0;
+
+  let match;
+  while ((match = leadingMiscPattern.exec(text))) {
+    if (pragmaPattern.test(match[0])) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// The lexer only matches the first digit of hexadecimal character references,
+// so &#xA0; comes through as the reference &#xA followed by the text 0;. This
+// moves the rest of the digits back onto the reference.
+function joinHexCharRefs(content) {
+  content.reference.forEach((reference) => {
+    if (!reference.CharRef || reference.CharRef.endsWith(";")) {
+      return;
+    }
+
+    const { location } = reference;
+    const chardata = content.chardata.find(
+      (child) => child.location.startOffset === location.endOffset + 1
+    );
+    const match = chardata?.TEXT?.match(/^[0-9a-fA-F]*;/);
+
+    if (!match) {
+      return;
+    }
+
+    const length = match[0].length;
+    reference.CharRef += match[0];
+    location.endOffset += length;
+    location.endColumn += length;
+
+    // The rest of the text is split into its leading whitespace and the text
+    // after it, the same way that the lexer splits it after a decimal
+    // reference.
+    const rest = chardata.TEXT.slice(length);
+    const [whitespace] = rest.match(/^[ \t\r\n]*/);
+    const pieces = [];
+
+    if (whitespace) {
+      pieces.push({ SEA_WS: whitespace, TEXT: null });
+    }
+
+    if (whitespace.length < rest.length) {
+      pieces.push({ SEA_WS: null, TEXT: rest.slice(whitespace.length) });
+    }
+
+    let { startOffset, startLine, startColumn } = chardata.location;
+    startOffset += length;
+    startColumn += length;
+
+    const replacements = pieces.map(({ SEA_WS, TEXT }) => {
+      const image = SEA_WS || TEXT;
+      const lines = image.split("\n");
+      const endLine = startLine + lines.length - 1;
+      const endColumn =
+        lines.length > 1
+          ? lines[lines.length - 1].length
+          : startColumn + image.length - 1;
+      const node = {
+        name: "chardata",
+        SEA_WS,
+        TEXT,
+        location: {
+          startOffset,
+          startLine,
+          startColumn,
+          endOffset: startOffset + image.length - 1,
+          endLine,
+          endColumn
+        }
+      };
+
+      startOffset += image.length;
+      startLine = endLine;
+      startColumn = endColumn + 1;
+      return node;
+    });
+
+    content.chardata.splice(
+      content.chardata.indexOf(chardata),
+      1,
+      ...replacements
+    );
+  });
+}
+
 function simplifyCST(node) {
   switch (node.name) {
     case "attribute": {
@@ -49,7 +149,7 @@ function simplifyCST(node) {
         reference
       } = node.children;
 
-      return {
+      const simplified = {
         name: "content",
         CData: CData || [],
         Comment: Comment || [],
@@ -59,6 +159,9 @@ function simplifyCST(node) {
         reference: (reference || []).map(simplifyCST),
         location: node.location
       };
+
+      joinHexCharRefs(simplified);
+      return simplified;
     }
     case "docTypeDecl": {
       const { DocType, Name, externalID, CLOSE } = node.children;
@@ -68,6 +171,7 @@ function simplifyCST(node) {
         DocType: DocType[0].image,
         Name: Name[0].image,
         externalID: externalID ? simplifyCST(externalID[0]) : null,
+        intSubset: null,
         CLOSE: CLOSE[0].image,
         location: node.location
       };
@@ -164,50 +268,161 @@ function simplifyCST(node) {
   }
 }
 
-const parser = {
-  parse(text) {
-    const { lexErrors, parseErrors, cst } = xmlToolsParse(text);
+// Get the location of the end of the text, which is where parse errors that are
+// found at the end of the input (where the token has no location) are reported.
+function getEndLocation(text) {
+  const lines = text.split("\n");
 
-    // If there are any lexical errors, throw the first of them as an error.
-    if (lexErrors.length > 0) {
-      const lexError = lexErrors[0];
-      throw createError(lexError.message, {
-        loc: {
-          start: { line: lexError.line, column: lexError.column },
-          end: {
-            line: lexError.line,
-            column: lexError.column + lexError.length
-          }
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Move the given location one character to the right, past a byte order mark
+// that was removed from the start of the text before it was parsed. Only the
+// columns on the first line move.
+function shiftLocation(location) {
+  location.startOffset += 1;
+  location.endOffset += 1;
+
+  if (location.startLine === 1) {
+    location.startColumn += 1;
+  }
+
+  if (location.endLine === 1) {
+    location.endColumn += 1;
+  }
+}
+
+// Shift the location of every node in the given AST with shiftLocation.
+function shiftLocations(value) {
+  if (Array.isArray(value)) {
+    value.forEach(shiftLocations);
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, child]) => {
+      if (key === "location" && child) {
+        shiftLocation(child);
+      } else {
+        shiftLocations(child);
+      }
+    });
+  }
+}
+
+// Parse the text, collecting every error from the internal subset parser, the
+// lexer, and the parser along the way (in that order).
+function parseText(text) {
+  // A leading byte order mark isn't part of the document. Prettier removes it
+  // before parsing and adds it back afterward, but it's still there when the
+  // parser is called directly. In that case it's removed here, and the
+  // locations are shifted afterward so that they point into the given text.
+  const hasByteOrderMark = text.startsWith("\uFEFF");
+
+  if (hasByteOrderMark) {
+    text = text.slice(1);
+  }
+
+  // The internal subset of the DOCTYPE is parsed separately, since
+  // @xml-tools/parser does not support it.
+  const subset = extractIntSubset(text);
+  const { lexErrors, parseErrors, cst } = xmlToolsParse(subset.text);
+
+  const errors = [
+    ...subset.errors.map(({ message, location }) => ({
+      message,
+      loc: {
+        start: { line: location.startLine, column: location.startColumn },
+        end: { line: location.endLine, column: location.endColumn }
+      }
+    })),
+    ...lexErrors.map((lexError) => ({
+      message: lexError.message,
+      loc: {
+        start: { line: lexError.line, column: lexError.column },
+        end: {
+          line: lexError.line,
+          column: lexError.column + lexError.length
         }
-      });
-    }
+      }
+    })),
+    ...parseErrors.map((parseError) => {
+      const { token } = parseError;
+
+      if (isNaN(token.startOffset)) {
+        const location = getEndLocation(text);
+
+        return {
+          message: parseError.message,
+          loc: { start: location, end: location }
+        };
+      }
 
-    // If there are any parse errors, throw the first of them as an error.
-    if (parseErrors.length > 0) {
-      const parseError = parseErrors[0];
-      throw createError(parseError.message, {
+      return {
+        message: parseError.message,
         loc: {
-          start: {
-            line: parseError.token.startLine,
-            column: parseError.token.startColumn
-          },
-          end: {
-            line: parseError.token.endLine,
-            column: parseError.token.endColumn
-          }
+          start: { line: token.startLine, column: token.startColumn },
+          end: { line: token.endLine, column: token.endColumn }
+        }
+      };
+    })
+  ];
+
+  if (hasByteOrderMark) {
+    errors.forEach(({ loc }) => {
+      [loc.start, loc.end].forEach((position) => {
+        if (position.line === 1) {
+          position.column += 1;
         }
       });
-    }
+    });
+  }
+
+  return { cst, intSubset: subset.intSubset, errors, hasByteOrderMark };
+}
+
+// Returns every error in the given text, each with the message and the start
+// and end locations of where it occurred. An empty list means the text can be
+// parsed.
+export function diagnose(text) {
+  return parseText(text).errors;
+}
+
+// Parse the text into the simplified AST that the printer works with. If there
+// are any errors, the first of them is thrown as a SyntaxError with the full
+// list attached in its errors property.
+export function parse(text) {
+  const { cst, intSubset, errors, hasByteOrderMark } = parseText(text);
+
+  if (errors.length > 0) {
+    const [{ message, loc }] = errors;
+    throw createError(message, { loc, errors });
+  }
 
-    // Otherwise return the CST.
-    return simplifyCST(cst);
+  // Otherwise return the CST, with the internal subset attached.
+  const ast = simplifyCST(cst);
+
+  if (ast.docTypeDecl) {
+    ast.docTypeDecl.intSubset = intSubset;
+  }
+
+  if (hasByteOrderMark) {
+    shiftLocations(ast);
+  }
+
+  return ast;
+}
+
+const parser = {
+  parse(text) {
+    return parse(text);
   },
   astFormat: "xml",
+  hasPragma,
   locStart(node) {
     return node.location.startOffset;
   },
+  // The end offsets from the parser point at the last character of the node,
+  // whereas prettier expects the offset just past it.
   locEnd(node) {
-    return node.location.endOffset;
+    return node.location.endOffset + 1;
   }
 };
 
@@ -1,9 +1,11 @@
 import languages from "./languages.js";
-import parser from "./parser.js";
+import parser, { diagnose, parse } from "./parser.js";
 import printer from "./printer.js";
 
 const plugin = {
+  diagnose,
   languages,
+  parse,
   parsers: {
     xml: parser
   },
@@ -11,6 +13,116 @@ const plugin = {
     xml: printer
   },
   options: {
+    xmlAttributeOrder: {
+      type: "string",
+      array: true,
+      category: "XML",
+      default: [{ value: [] }],
+      description:
+        "Orders XML attributes by the first of these names, globs, or /regexes/ that they match."
+    },
+    xmlBlankLineBeforeRoot: {
+      type: "boolean",
+      category: "XML",
+      default: false,
+      description:
+        "Puts exactly one blank line between the root element and the nodes before it."
+    },
+    xmlCharacterReferences: {
+      type: "choice",
+      category: "XML",
+      default: "preserve",
+      description:
+        "How to print numeric character references in text and attribute values.",
+      choices: [
+        {
+          value: "preserve",
+          description: "Character references are printed as they were written."
+        },
+        {
+          value: "hex",
+          description: "Character references are printed in hexadecimal."
+        },
+        {
+          value: "decimal",
+          description: "Character references are printed in decimal."
+        },
+        {
+          value: "literal",
+          description:
+            "Character references are replaced by the characters they refer to, unless they have to stay escaped."
+        },
+        {
+          value: "ascii",
+          description:
+            "Non-ASCII characters are escaped, and other character references are replaced by the characters they refer to."
+        }
+      ]
+    },
+    xmlCommentFormatting: {
+      type: "choice",
+      category: "XML",
+      default: "preserve",
+      description: "How to format the contents of comments.",
+      choices: [
+        {
+          value: "preserve",
+          description: "Comments are printed as they were written."
+        },
+        {
+          value: "reindent",
+          description:
+            "The lines of multi-line comments are shifted to match the indentation of the comment."
+        },
+        {
+          value: "reflow",
+          description:
+            "Comments are reindented and their text is wrapped to the print width."
+        }
+      ]
+    },
+    xmlDeclaration: {
+      type: "choice",
+      category: "XML",
+      default: "preserve",
+      description: "Whether or not documents should have an XML declaration.",
+      choices: [
+        {
+          value: "preserve",
+          description: "The XML declaration is kept if there is one."
+        },
+        {
+          value: "always",
+          description:
+            'An XML declaration with version="1.0" and encoding="UTF-8" is added to documents that do not have one.'
+        },
+        {
+          value: "never",
+          description:
+            'The XML declaration is removed, unless it declares a non-UTF-8 encoding or standalone="yes".'
+        }
+      ]
+    },
+    xmlEmbeddedLanguages: {
+      type: "string",
+      array: true,
+      category: "XML",
+      default: [{ value: [] }],
+      description:
+        "Formats the contents of matching elements with another parser, as in `name=parser` or `name[attribute=value]=parser`."
+    },
+    xmlRemoveBlankLinesAfterOpenTag: {
+      type: "boolean",
+      category: "XML",
+      default: true,
+      description: "Removes blank lines directly after an opening tag."
+    },
+    xmlRemoveBlankLinesBeforeCloseTag: {
+      type: "boolean",
+      category: "XML",
+      default: true,
+      description: "Removes blank lines directly before a closing tag."
+    },
     xmlSelfClosingSpace: {
       type: "boolean",
       category: "XML",
@@ -18,6 +130,44 @@ const plugin = {
       description: "Adds a space before self-closing tags.",
       since: "1.1.0"
     },
+    xmlWhitespaceSensitiveElements: {
+      type: "string",
+      array: true,
+      category: "XML",
+      default: [{ value: [] }],
+      description:
+        'Names or patterns of elements whose whitespace is always preserved, like elements with xml:space="preserve".'
+    },
+    xmlSvgAttributes: {
+      type: "choice",
+      category: "XML",
+      default: "preserve",
+      description:
+        "How to print SVG path data and lists of points in attribute values.",
+      choices: [
+        {
+          value: "preserve",
+          description: "Values are printed as they were written."
+        },
+        {
+          value: "break",
+          description:
+            "Separators are normalized and long values are broken between commands or points."
+        },
+        {
+          value: "single-line",
+          description:
+            "Separators are normalized and values are kept on one line."
+        }
+      ]
+    },
+    xmlWrapAttributeValues: {
+      type: "boolean",
+      category: "XML",
+      default: false,
+      description:
+        "Breaks long token-list attribute values like class onto multiple lines when whitespace is ignored."
+    },
     xmlWhitespaceSensitivity: {
       type: "choice",
       category: "XML",
@@ -40,6 +190,14 @@ const plugin = {
       ],
       since: "0.6.0"
     },
+    xmlSortChildren: {
+      type: "string",
+      array: true,
+      category: "XML",
+      default: [{ value: [] }],
+      description:
+        "Sorts child elements by rules like parent/child[@attribute,element]."
+    },
     xmlSortAttributesByKey: {
       type: "boolean",
       category: "XML",
@@ -47,6 +205,36 @@ const plugin = {
       description:
         "Orders XML attributes by key alphabetically while prioritizing xmlns attributes."
     },
+    xmlEmbeddedMimeTypes: {
+      type: "string",
+      array: true,
+      category: "XML",
+      default: [{ value: [] }],
+      description:
+        "Maps the MIME types of script and style elements to parsers, as in `type=parser`."
+    },
+    xmlInlineElements: {
+      type: "string",
+      array: true,
+      category: "XML",
+      default: [{ value: [] }],
+      description:
+        "Names or patterns of elements that are printed inline with the text around them."
+    },
+    xmlMaxBlankLines: {
+      type: "int",
+      category: "XML",
+      default: 1,
+      description: "The maximum number of consecutive blank lines to keep.",
+      range: { start: 0, end: Infinity, step: 1 }
+    },
+    xmlNormalizeDeclaration: {
+      type: "boolean",
+      category: "XML",
+      default: false,
+      description:
+        "Orders the attributes of the XML declaration canonically and removes the whitespace around them."
+    },
     xmlQuoteAttributes: {
       type: "choice",
       category: "XML",
@@ -61,12 +249,17 @@ const plugin = {
         {
           value: "single",
           description:
-            "Quotes in attribute values will be converted to consistent single quotes and other quotes in the string will be escaped."
+            "Quotes in attribute values will be converted to consistent single quotes, escaping single quotes in the string and unescaping double quotes."
         },
         {
           value: "double",
           description:
-            "Quotes in attribute values will be converted to consistent double quotes and other quotes in the string will be escaped."
+            "Quotes in attribute values will be converted to consistent double quotes, escaping double quotes in the string and unescaping single quotes."
+        },
+        {
+          value: "auto",
+          description:
+            "Quotes in attribute values will be converted to whichever quote requires the fewest escapes, preferring double quotes."
         }
       ]
     }
@@ -77,4 +270,5 @@ const plugin = {
   }
 };
 
+export { diagnose, parse };
 export default plugin;
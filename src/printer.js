@@ -1,5 +1,20 @@
 import * as doc from "prettier/doc";
 import embed from "./embed.js";
+import { getElementNamespaceURI, svgNamespace } from "./namespaces.js";
+import { createError } from "./parser.js";
+import {
+  getEncodingCheck,
+  printAttributeCharacters,
+  printCharacters,
+  printCharRef
+} from "./references.js";
+import { parseSvgAttribute, printSvgAttribute } from "./svg.js";
+import {
+  isXamlAttribute,
+  parseMarkupExtension,
+  printMarkupExtension
+} from "./xaml.js";
+import { isXPathAttribute, printXPathAttribute } from "./xpath.js";
 
 const {
   fill,
@@ -13,8 +28,10 @@ const {
   ifBreak
 } = doc.builders;
 
+const ignoreComment = "<!-- prettier-ignore -->";
 const ignoreStartComment = "<!-- prettier-ignore-start -->";
 const ignoreEndComment = "<!-- prettier-ignore-end -->";
+const pragmaComment = "<!-- @format -->";
 
 function sortedIndexOf(array, value, valueFn) {
   let lowIdx = 0,
@@ -50,28 +67,89 @@ function hasIgnoreRanges(comments) {
   return false;
 }
 
-function isWhitespaceIgnorable(opts, name, attributes, content) {
+// Find the elements in the given content that directly follow a
+// prettier-ignore comment, skipping over any whitespace in between.
+function getIgnoredElements(content) {
+  const siblings = [
+    ...content.Comment.map((comment) => ({
+      offset: comment.startOffset,
+      isIgnore: comment.image === ignoreComment
+    })),
+    ...content.chardata
+      .filter((chardata) => chardata.TEXT)
+      .map((chardata) => ({ offset: chardata.location.startOffset })),
+    ...content.element.map((element) => ({
+      offset: element.location.startOffset,
+      element
+    })),
+    ...content.CData.map((cData) => ({ offset: cData.startOffset })),
+    ...content.PROCESSING_INSTRUCTION.map((pi) => ({ offset: pi.startOffset })),
+    ...content.reference.map((reference) => ({
+      offset: reference.location.startOffset
+    }))
+  ];
+
+  siblings.sort((left, right) => left.offset - right.offset);
+
+  return siblings
+    .filter(
+      (sibling, index) =>
+        sibling.element && index > 0 && siblings[index - 1].isIgnore
+    )
+    .map(({ element }) => element);
+}
+
+// Print a node exactly as it was written in the original source.
+function printIgnoredNode(node, opts) {
+  const { startOffset, endOffset } = node.location;
+
+  return doc.utils.replaceEndOfLine(
+    opts.originalText.slice(startOffset, endOffset + 1)
+  );
+}
+
+// Returns true if the whitespace of the element at the given path has to be
+// preserved because of the element itself or one of its ancestors. That's the
+// case for xsl:text elements, for elements that match one of the
+// xmlWhitespaceSensitiveElements rules, and for elements with an
+// xml:space="preserve" attribute. The closest xml:space attribute wins, so
+// xml:space="default" turns preservation back off for the elements inside it.
+function isSpacePreserved(path, opts) {
+  const rules = (opts.xmlWhitespaceSensitiveElements || []).map((entry) =>
+    createNameMatcher(entry, "xmlWhitespaceSensitiveElements")
+  );
+  let node = path.getValue();
+
+  for (let level = 0; node; node = path.getParentNode(level++)) {
+    if (node.name !== "element") {
+      continue;
+    }
+
+    const space = node.attribute.find(({ Name }) => Name === "xml:space");
+    if (space) {
+      return space.STRING.slice(1, -1) === "preserve";
+    }
+
+    if (node.Name === "xsl:text" || rules.some((rule) => rule(node.Name))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function isWhitespaceIgnorable(path, opts) {
+  const { content } = path.getValue();
+
   // If the whitespace sensitivity setting is "strict", then we can't ignore the
   // whitespace.
   if (opts.xmlWhitespaceSensitivity === "strict") {
     return false;
   }
 
-  // If we have an xsl:text element, then we cannot ignore the whitespace.
-  if (name === "xsl:text") {
-    return false;
-  }
-
-  // If there is an xml:space attribute set to "preserve", then we can't ignore
-  // the whitespace.
-  if (
-    attributes.some(
-      (attribute) =>
-        attribute &&
-        attribute.Name === "xml:space" &&
-        attribute.STRING.slice(1, -1) === "preserve"
-    )
-  ) {
+  // If this element or one of its ancestors preserves its whitespace, then we
+  // can't ignore it.
+  if (isSpacePreserved(path, opts)) {
     return false;
   }
 
@@ -96,40 +174,209 @@ function printIToken(path) {
   };
 }
 
-function printAttribute(path, opts, print) {
-  const { Name, EQUALS, STRING } = path.getValue();
+const quoteEntities = { '"': "&quot;", "'": "&apos;" };
+
+// Count the quotes of the given kind in an attribute value, whether they're
+// written literally or escaped.
+function countQuotes(content, quote) {
+  return (
+    content.split(quote).length + content.split(quoteEntities[quote]).length - 2
+  );
+}
+
+// Convert the quotes around an attribute value according to the
+// xmlQuoteAttributes option. The chosen quote is escaped inside of the value
+// and the other one is unescaped, since it no longer needs to be. In auto mode
+// the quote that needs the fewest escapes is chosen, preferring double quotes.
+function quoteAttributeValue(STRING, opts) {
+  const content = STRING.slice(1, -1);
+  let quote;
 
-  let attributeValue;
   if (opts.xmlQuoteAttributes === "double") {
-    const content = STRING.slice(1, -1).replaceAll('"', "&quot;");
-    attributeValue = `"${content}"`;
+    quote = '"';
   } else if (opts.xmlQuoteAttributes === "single") {
-    const content = STRING.slice(1, -1).replaceAll("'", "&apos;");
-    attributeValue = `'${content}'`;
+    quote = "'";
+  } else if (opts.xmlQuoteAttributes === "auto") {
+    quote = countQuotes(content, '"') > countQuotes(content, "'") ? "'" : '"';
   } else {
     // preserve
-    attributeValue = STRING;
+    return STRING;
+  }
+
+  const otherQuote = quote === '"' ? "'" : '"';
+  const escaped = content
+    .replaceAll(quoteEntities[otherQuote], otherQuote)
+    .replaceAll(quote, quoteEntities[quote]);
+
+  return `${quote}${escaped}${quote}`;
+}
+
+function printAttribute(path, opts, print) {
+  const { Name, EQUALS, STRING } = path.getValue();
+  const attributeValue = printAttributeCharacters(
+    quoteAttributeValue(STRING, opts),
+    opts
+  );
+
+  // If this is a XAML markup extension, then it gets broken up into its
+  // arguments. Values with escaped quotes are left alone since we can't tell
+  // whether or not they're quoting an argument.
+  const content = attributeValue.slice(1, -1);
+  if (
+    content.startsWith("{") &&
+    !/&(quot|apos);/.test(content) &&
+    isXamlAttribute(path)
+  ) {
+    const extension = parseMarkupExtension(content);
+
+    if (extension) {
+      const quote = attributeValue[0];
+      return group([
+        Name,
+        EQUALS,
+        quote,
+        printMarkupExtension(extension),
+        quote
+      ]);
+    }
+  }
+
+  // XPath expressions in XSLT and Schematron are formatted like the embedded
+  // languages, so they can be turned off with them.
+  if (opts.embeddedLanguageFormatting !== "off" && isXPathAttribute(path)) {
+    const printed = printXPathAttribute(Name, EQUALS, attributeValue);
+
+    if (printed) {
+      return printed;
+    }
+  }
+
+  // SVG path data and lists of points are normalized, and broken between
+  // their commands or points if they don't fit.
+  const parentNode = path.getParentNode();
+  if (
+    opts.xmlSvgAttributes !== "preserve" &&
+    parentNode.name === "element" &&
+    !content.includes("&") &&
+    getElementNamespaceURI(path) === svgNamespace
+  ) {
+    const items = parseSvgAttribute(parentNode.Name, Name, content);
+
+    if (items) {
+      return printSvgAttribute(Name, EQUALS, attributeValue[0], items, opts);
+    }
+  }
+
+  if (
+    opts.xmlWrapAttributeValues &&
+    opts.xmlWhitespaceSensitivity === "ignore" &&
+    tokenListAttributes.includes(Name.split(":").pop()) &&
+    /\s/.test(content.trim())
+  ) {
+    return printWrappedAttribute(Name, EQUALS, attributeValue);
   }
 
   return [Name, EQUALS, attributeValue];
 }
 
+// The attributes whose values are whitespace-separated lists of tokens, so
+// that the whitespace between them can be changed without changing what they
+// mean. Other values, like titles and descriptions, are left on one line.
+const tokenListAttributes = [
+  "aria-controls",
+  "aria-describedby",
+  "aria-labelledby",
+  "aria-owns",
+  "cdata-section-elements",
+  "class",
+  "depends-on",
+  "exclude-result-prefixes",
+  "extension-element-prefixes",
+  "headers",
+  "itemprop",
+  "itemref",
+  "itemtype",
+  "memberTypes",
+  "points",
+  "rel",
+  "schemaLocation",
+  "transform",
+  "use-attribute-sets"
+];
+
+// Print an attribute whose value is a whitespace-separated list, breaking the
+// value onto indented lines inside the quotes if it doesn't fit. Values that
+// were already written across multiple lines keep their lines but are
+// reindented. The values of schemaLocation attributes are pairs of namespaces
+// and locations, so each pair stays together.
+function printWrappedAttribute(Name, EQUALS, attributeValue) {
+  const quote = attributeValue[0];
+  const content = attributeValue.slice(1, -1).trim();
+
+  if (content.includes("\n")) {
+    const lines = content
+      .split("\n")
+      .map((valueLine) => valueLine.trim().split(/\s+/).join(" "))
+      .filter((valueLine) => valueLine !== "");
+
+    return group([
+      Name,
+      EQUALS,
+      quote,
+      indent([hardline, join(hardline, lines)]),
+      hardline,
+      quote
+    ]);
+  }
+
+  let items = content.split(/\s+/);
+
+  if (/(^|:)schemaLocation$/.test(Name)) {
+    items = items.reduce(
+      (pairs, item, index) =>
+        index % 2 === 0
+          ? [...pairs, item]
+          : [...pairs.slice(0, -1), `${pairs[pairs.length - 1]} ${item}`],
+      []
+    );
+  }
+
+  return group([
+    Name,
+    EQUALS,
+    quote,
+    indent([softline, fill(join(line, items))]),
+    softline,
+    quote
+  ]);
+}
+
 function printCharData(path, opts, print) {
   const { SEA_WS, TEXT } = path.getValue();
-  const image = SEA_WS || TEXT;
+  const image = printCharacters(SEA_WS || TEXT, opts);
 
   return image
     .split(/(\n)/g)
     .map((value, index) => (index % 2 === 0 ? value : literalline));
 }
 
+// Determine whether or not the whitespace of the content at the given path is
+// going to be printed as it was written.
+function isWhitespacePreserved(path, opts, isContent) {
+  const hasTextChildren = path
+    .getValue()
+    .chardata.some((child) => !!child.TEXT);
+
+  return (
+    isContent ||
+    (opts.xmlWhitespaceSensitivity === "preserve" && hasTextChildren)
+  );
+}
+
 function getCharDataFragments(path, opts, print, isContent) {
   let results = [];
   let prevLocation = null;
-  let hasTextChildren = path.getValue().chardata.some((child) => !!child.TEXT);
-  let preserveWhitespace =
-    isContent ||
-    (opts.xmlWhitespaceSensitivity === "preserve" && hasTextChildren);
+  let preserveWhitespace = isWhitespacePreserved(path, opts, isContent);
   path.each((charDataPath) => {
     const chardata = charDataPath.getValue();
     const location = chardata.location;
@@ -161,10 +408,11 @@ function getCharDataFragments(path, opts, print, isContent) {
       response.printed = chardata.SEA_WS;
       response.hasNewLine = chardata.SEA_WS.includes("\n");
     } else {
+      response.text = chardata.TEXT;
       //const content = chardata.TEXT.trim();
-      const content = chardata.TEXT.replaceAll(
-        /^[\t\n\r\s]+|[\t\n\r\s]+$/g,
-        ""
+      const content = printCharacters(
+        chardata.TEXT.replaceAll(/^[\t\n\r\s]+|[\t\n\r\s]+$/g, ""),
+        opts
       );
       response.printed = group(
         content
@@ -187,30 +435,48 @@ function getCharDataFragments(path, opts, print, isContent) {
 }
 
 function getFragments(path, opts, print, isContent = false) {
+  const ignoredElements = getIgnoredElements(path.getValue());
+  const preserveWhitespace = isWhitespacePreserved(path, opts, isContent);
   let result = [
     ...path.map(
       (cDataPath) => Object.assign(printIToken(cDataPath), { isCData: true }),
       "CData"
     ),
-    ...path.map(
-      (commentPath) =>
-        Object.assign(printIToken(commentPath), { isComment: true }),
-      "Comment"
-    ),
+    ...path.map((commentPath) => {
+      const fragment = printIToken(commentPath);
+
+      // Comments can only be moved around if the whitespace around them is
+      // not being preserved.
+      if (!preserveWhitespace) {
+        fragment.printed = printComment(commentPath.getValue(), opts);
+      }
+
+      return Object.assign(fragment, { isComment: true });
+    }, "Comment"),
     ...getCharDataFragments(path, opts, print, isContent),
     ...path.map((elementPath) => {
       const element = elementPath.getValue();
       const location = element.location;
       return {
         offset: location.startOffset,
-        printed: print(elementPath),
+        printed: ignoredElements.includes(element)
+          ? printIgnoredNode(element, opts)
+          : print(elementPath),
         startLine: location.startLine,
         endLine: location.endLine,
         isClosed: !!element.SLASH_OPEN || !!element.SLASH_CLOSE,
-        isElement: true
+        isElement: true,
+        name: element.Name,
+        node: element
       };
     }, "element"),
-    ...path.map(printIToken, "PROCESSING_INSTRUCTION"),
+    ...path.map(
+      (piPath) =>
+        Object.assign(printIToken(piPath), {
+          printed: printProcessingInstruction(piPath.getValue().image, opts)
+        }),
+      "PROCESSING_INSTRUCTION"
+    ),
     ...path.map((referencePath) => {
       const referenceNode = referencePath.getValue();
       return {
@@ -224,6 +490,114 @@ function getFragments(path, opts, print, isContent = false) {
   return result;
 }
 
+// Matches the contents of comments that have a special meaning to prettier, and
+// so must be left exactly as they are
+const pragmaCommentPattern =
+  /^\s*(?:prettier-ignore(?:-start|-end)?|@format|@prettier)\s*$/;
+
+// Matches the contents of comments that are license headers
+const licenseCommentPattern = /copyright|licen[cs]e|\(c\)|©/i;
+
+// Returns the whitespace at the start of the line in the original text that
+// contains the given offset.
+function getLineIndentation(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+
+  return text.slice(lineStart, offset).match(/^[\t ]*/)[0];
+}
+
+// Print a paragraph of a reflowed comment. Runs of plain prose are filled to
+// the print width, but the lines that look preformatted (list items, or lines
+// that are indented more than the rest) are kept as they are.
+function printCommentParagraph(lines) {
+  const indentations = lines.map((text) => text.match(/^[\t ]*/)[0].length);
+  const minIndentation = Math.min(...indentations);
+  const parts = [];
+  let prose = [];
+
+  function flush() {
+    if (prose.length > 0) {
+      parts.push(fill(join(line, prose.join(" ").trim().split(/\s+/))));
+      prose = [];
+    }
+  }
+
+  lines.forEach((text, index) => {
+    if (
+      indentations[index] !== minIndentation ||
+      /^\s*(?:[-*+#>|]|\d+[.)])(?:\s|$)/.test(text)
+    ) {
+      flush();
+      parts.push(text.slice(minIndentation).trimEnd());
+    } else {
+      prose.push(text);
+    }
+  });
+
+  flush();
+  return join(hardline, parts);
+}
+
+// Print a comment according to the xmlCommentFormatting option. With
+// "reindent", the lines after the first one are shifted by however much the
+// comment itself moved. With "reflow", the text is also wrapped to the print
+// width.
+function printComment({ image, startOffset }, opts) {
+  const body = image.slice("<!--".length, -"-->".length);
+
+  if (
+    !["reindent", "reflow"].includes(opts.xmlCommentFormatting) ||
+    pragmaCommentPattern.test(body)
+  ) {
+    return image;
+  }
+
+  // Strip off the indentation of the line that the comment started on from
+  // the rest of the lines, since that's going to be replaced by the current
+  // indentation.
+  const indentation = getLineIndentation(opts.originalText, startOffset);
+  const lines = body
+    .split("\n")
+    .map((line, index) =>
+      index === 0
+        ? line
+        : line.replace(new RegExp(`^[\\t ]{0,${indentation.length}}`), "")
+    );
+
+  if (opts.xmlCommentFormatting === "reindent") {
+    return ["<!--", join(hardline, lines), "-->"];
+  }
+
+  if (body.trim() === "") {
+    return image;
+  }
+
+  // Text that starts on the same line as the <!-- is treated as if it was
+  // lined up with the lines after it, as in <!-- foo\n     bar -->
+  if (lines.length > 1 && lines[0].trim() !== "") {
+    const rest = lines.slice(1).filter((line) => line.trim() !== "");
+    const restIndentation = Math.min(
+      ...rest.map((line) => line.match(/^[\t ]*/)[0].length)
+    );
+
+    lines[0] =
+      " ".repeat(rest.length > 0 ? restIndentation : 0) + lines[0].trim();
+  }
+
+  const paragraphs = lines
+    .join("\n")
+    .replace(/^\s*\n|\n\s*$/g, "")
+    .split(/\n[\t ]*\n/)
+    .map((paragraph) => printCommentParagraph(paragraph.split("\n")));
+
+  return group([
+    "<!--",
+    indent([line, join([hardline, hardline], paragraphs)]),
+    line,
+    "-->"
+  ]);
+}
+
 function printContent(path, opts, print) {
   let fragments = getFragments(path, opts, print, true);
   const { Comment } = path.getValue();
@@ -282,17 +656,57 @@ function printContent(path, opts, print) {
   return group(fragments.map(({ printed }) => printed));
 }
 
+function printAttDef(path, opts, print) {
+  const { Name, AttType, DefaultDecl, AttValue } = path.getValue();
+
+  return join(
+    " ",
+    [Name, AttType, DefaultDecl, AttValue].filter((part) => part !== null)
+  );
+}
+
+function printAttlistDecl(path, opts, print) {
+  const { OPEN, Name, attDef, CLOSE } = path.getValue();
+  const parts = [OPEN, " ", Name];
+
+  // Each attribute definition goes on its own line if the whole declaration
+  // doesn't fit, in the same way that attributes on elements do.
+  if (attDef.length > 0) {
+    parts.push(
+      indent([line, join(line, path.map(print, "attDef"))]),
+      opts.bracketSameLine ? "" : softline
+    );
+  }
+
+  return group([...parts, CLOSE]);
+}
+
 function printDocTypeDecl(path, opts, print) {
-  const { DocType, Name, externalID, CLOSE } = path.getValue();
+  const { DocType, Name, externalID, intSubset, CLOSE } = path.getValue();
   const parts = [DocType, " ", Name];
 
   if (externalID) {
     parts.push(" ", path.call(print, "externalID"));
   }
 
+  if (intSubset) {
+    parts.push(" ", path.call(print, "intSubset"));
+  }
+
   return group([...parts, CLOSE]);
 }
 
+// Print the given number of blank lines, up to the xmlMaxBlankLines option.
+// The count is not a number for fragments that have no location, like the
+// XML declaration added by the xmlDeclaration option, in which case there are
+// no blank lines.
+function printBlankLines(count, opts) {
+  const max = opts.xmlMaxBlankLines ?? 1;
+  const blankLines = count > 0 ? Math.min(count, max) : 0;
+
+  return Array.from({ length: blankLines }, () => hardline);
+}
+
 function printDocument(path, opts, print) {
   const { docTypeDecl, element, misc, prolog } = path.getValue();
   const fragments = [];
@@ -300,15 +714,27 @@ function printDocument(path, opts, print) {
   if (docTypeDecl) {
     fragments.push({
       offset: docTypeDecl.location.startOffset,
+      startLine: docTypeDecl.location.startLine,
+      endLine: docTypeDecl.location.endLine,
       printed: path.call(print, "docTypeDecl")
     });
   }
 
-  if (prolog) {
+  // Depending on the xmlDeclaration option, the XML declaration is either
+  // printed as it is, removed, or added if it's missing. It's never removed
+  // when that would change how the document is read.
+  if (
+    prolog &&
+    (opts.xmlDeclaration !== "never" || isDeclarationRequired(prolog))
+  ) {
     fragments.push({
       offset: prolog.location.startOffset,
+      startLine: prolog.location.startLine,
+      endLine: prolog.location.endLine,
       printed: path.call(print, "prolog")
     });
+  } else if (!prolog && opts.xmlDeclaration === "always") {
+    fragments.push({ offset: -1, printed: printDefaultDeclaration(opts) });
   }
 
   path.each((miscPath) => {
@@ -316,26 +742,589 @@ function printDocument(path, opts, print) {
 
     fragments.push({
       offset: misc.location.startOffset,
+      startLine: misc.location.startLine,
+      endLine: misc.location.endLine,
+      image: misc.Comment,
       printed: print(miscPath)
     });
   }, "misc");
 
   if (element) {
+    // If the comment directly before the root element is a prettier-ignore
+    // comment, then the root element is printed as it was written.
+    const { startOffset } = element.location;
+    const prevFragment = fragments.reduce(
+      (prev, fragment) =>
+        fragment.offset < startOffset &&
+        (!prev || fragment.offset > prev.offset)
+          ? fragment
+          : prev,
+      null
+    );
+    const isIgnored = prevFragment && prevFragment.image === ignoreComment;
+
     fragments.push({
       offset: element.location.startOffset,
-      printed: path.call(print, "element")
+      startLine: element.location.startLine,
+      endLine: element.location.endLine,
+      isRoot: true,
+      printed: isIgnored
+        ? printIgnoredNode(element, opts)
+        : path.call(print, "element")
     });
   }
 
   fragments.sort((left, right) => left.offset - right.offset);
 
-  return [
-    join(
+  // Keep the blank lines between the top-level nodes up to the maximum, and
+  // put exactly one before the root element if xmlBlankLineBeforeRoot is set.
+  const parts = fragments.map((fragment, index) => {
+    if (index === 0) {
+      return fragment.printed;
+    }
+
+    if (fragment.isRoot && opts.xmlBlankLineBeforeRoot) {
+      return [hardline, hardline, fragment.printed];
+    }
+
+    const prevFragment = fragments[index - 1];
+    return [
+      printBlankLines(fragment.startLine - prevFragment.endLine - 1, opts),
       hardline,
-      fragments.map(({ printed }) => printed)
-    ),
-    hardline
-  ];
+      fragment.printed
+    ];
+  });
+
+  const printed = [parts, hardline];
+
+  // The output has to be written in the encoding that the XML declaration
+  // declares, so check that it can hold every character that's printed.
+  const encoding =
+    prolog && (opts.xmlDeclaration !== "never" || isDeclarationRequired(prolog))
+      ? prolog.attribute.find(({ Name }) => Name === "encoding")
+      : null;
+
+  if (encoding) {
+    checkEncoding(path.getValue(), encoding.STRING.slice(1, -1), opts);
+  }
+
+  return printed;
+}
+
+// Returns the parts of the document that the xmlCharacterReferences option
+// rewrites (attribute values, text, and character references), each with its
+// offsets in the source and the way that it's going to be printed.
+function getRewrittenRanges(node, opts) {
+  const ranges = [];
+
+  (node.attribute || []).forEach(({ STRING, location }) => {
+    const end = location.endOffset + 1;
+
+    ranges.push({
+      start: end - STRING.length,
+      end,
+      printed: printAttributeCharacters(STRING, opts)
+    });
+  });
+
+  if (node.content) {
+    const { chardata, element, reference } = node.content;
+
+    chardata.forEach(({ TEXT, location }) => {
+      if (TEXT) {
+        ranges.push({
+          start: location.startOffset,
+          end: location.endOffset + 1,
+          printed: printCharacters(TEXT, opts)
+        });
+      }
+    });
+
+    reference.forEach(({ CharRef, location }) => {
+      if (CharRef) {
+        ranges.push({
+          start: location.startOffset,
+          end: location.endOffset + 1,
+          printed: printCharRef(CharRef, opts)
+        });
+      }
+    });
+
+    element.forEach((child) => ranges.push(...getRewrittenRanges(child, opts)));
+  }
+
+  return ranges;
+}
+
+// Throw an error if the document has a character that can't be written in the
+// given encoding. Most of the source is printed as it is, but the parts that
+// the xmlCharacterReferences option rewrites are checked as they're going to
+// be printed, since the ascii mode escapes characters there and the literal
+// mode replaces references with the characters that they refer to.
+function checkEncoding(node, encoding, opts) {
+  const isEncodable = getEncodingCheck(encoding);
+
+  if (!isEncodable) {
+    return;
+  }
+
+  const text = opts.originalText;
+  const ranges = [
+    ...getRewrittenRanges(node.prolog || {}, opts),
+    ...(node.element ? getRewrittenRanges(node.element, opts) : [])
+  ].sort((left, right) => left.start - right.start);
+
+  // Returns the offset of the first character in the given string that can't
+  // be written, or -1 if they all can.
+  const findUnencodable = (value) => {
+    let offset = 0;
+
+    for (const char of value) {
+      if (!isEncodable(char.codePointAt(0))) {
+        return offset;
+      }
+
+      offset += char.length;
+    }
+
+    return -1;
+  };
+
+  let char = null;
+  let offset = 0;
+
+  for (const range of [...ranges, { start: text.length, end: text.length }]) {
+    const index = findUnencodable(text.slice(offset, range.start));
+
+    if (index !== -1) {
+      offset += index;
+      char = String.fromCodePoint(text.codePointAt(offset));
+      break;
+    }
+
+    const printedIndex = range.printed ? findUnencodable(range.printed) : -1;
+
+    if (printedIndex !== -1) {
+      char = String.fromCodePoint(range.printed.codePointAt(printedIndex));
+
+      // Point at the character if it was written literally, and otherwise at
+      // the start of the value or the reference that it came from.
+      const literalIndex = text.slice(range.start, range.end).indexOf(char);
+      offset = range.start + Math.max(literalIndex, 0);
+      break;
+    }
+
+    offset = range.end;
+  }
+
+  if (!char) {
+    return;
+  }
+
+  const lines = text.slice(0, offset).split("\n");
+  const start = {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+  const codePoint = char.codePointAt(0).toString(16).toUpperCase();
+
+  throw createError(
+    `The character "${char}" (U+${codePoint.padStart(4, "0")}) can't be written in the declared encoding ${encoding}`,
+    { loc: { start, end: start } }
+  );
+}
+
+function printElementDecl(path, opts, print) {
+  const { OPEN, Name, contentspec, CLOSE } = path.getValue();
+
+  return [OPEN, " ", Name, " ", contentspec, CLOSE];
+}
+
+// Compare two attribute names by key alphabetically while prioritizing xmlns
+// attributes.
+function compareAttributeNames(leftAttr, rightAttr) {
+  // Check if the attributes are xmlns.
+  if (leftAttr === "xmlns") return -1;
+  if (rightAttr === "xmlns") return 1;
+
+  // Check if they are both in namespaces.
+  if (leftAttr.includes(":") && rightAttr.includes(":")) {
+    const [leftNS, leftKey] = leftAttr.split(":");
+    const [rightNS, rightKey] = rightAttr.split(":");
+
+    // If namespaces are equal, compare keys
+    if (leftNS === rightNS) return leftKey.localeCompare(rightKey);
+
+    // Handle the 1 but not both being an xmlns
+    if (leftNS === "xmlns") return -1;
+    if (rightNS === "xmlns") return 1;
+
+    return leftNS.localeCompare(rightNS);
+  }
+
+  // Check if the attributes have namespaces.
+  if (leftAttr.includes(":")) return -1;
+  if (rightAttr.includes(":")) return 1;
+
+  return leftAttr.localeCompare(rightAttr);
+}
+
+// Convert a name rule into a function that checks whether or not a name
+// matches it. Rules can be:
+//
+// * /pattern/flags, which is a regular expression matched against the name
+// * an exact name or a glob with * wildcards, as in layout_*
+//
+// Names and globs without a prefix also match the local part of a prefixed
+// name, so id matches android:id. The name of the option that the rule came
+// from is used to report invalid regular expressions, including ones with the
+// g or y flags, which would make test() remember where the last match was.
+function createNameMatcher(entry, optionName) {
+  const regexp = entry.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexp) {
+    let pattern;
+
+    try {
+      pattern = !/[gy]/.test(regexp[2]) && new RegExp(regexp[1], regexp[2]);
+    } catch {
+      pattern = null;
+    }
+
+    if (!pattern) {
+      throw new Error(`Invalid ${optionName} entry: ${entry}`);
+    }
+
+    return (name) => pattern.test(name);
+  }
+
+  const pattern = new RegExp(
+    `^${entry
+      .split("*")
+      .map((part) => part.replace(/[$()+.?[\\\]^{|}]/g, "\\$&"))
+      .join(".*")}$`
+  );
+
+  if (entry.includes(":")) {
+    return (name) => pattern.test(name);
+  }
+
+  return (name) => pattern.test(name) || pattern.test(name.split(":").pop());
+}
+
+// Convert the entries of the xmlAttributeOrder option into functions that
+// check whether or not an attribute name matches them. Entries are name rules
+// (see createNameMatcher) or $xmlns, which matches xmlns and all xmlns:*
+// attributes.
+function getAttributeOrderRules(opts) {
+  return opts.xmlAttributeOrder.map((entry) => {
+    if (entry === "$xmlns") {
+      return (name) => name === "xmlns" || name.startsWith("xmlns:");
+    }
+
+    return createNameMatcher(entry, "xmlAttributeOrder");
+  });
+}
+
+// Returns true if the fragment can be part of a run of inline content, which
+// is made up of text, references, comments, and elements that match one of
+// the xmlInlineElements rules. Comments are part of the run so that they don't
+// add line breaks where there wasn't any whitespace.
+function isInlineFragment(fragment, inlineRules) {
+  return (
+    fragment.isWhitespace ||
+    fragment.isReference ||
+    fragment.isComment ||
+    (fragment.isCharData && fragment.text !== undefined) ||
+    (fragment.isElement && inlineRules.some((rule) => rule(fragment.name)))
+  );
+}
+
+// Print a run of inline fragments as a fill, with the text split into words
+// and the references and inline elements in between them. Lines can only
+// break where there was whitespace, so anything that was written right next
+// to a word stays attached to it. If keepEdges is set, whitespace at the start
+// and end of the run is kept too.
+function printInlineFragments(fragments, opts, keepEdges) {
+  const parts = [];
+  let spaced = false;
+
+  function push(printed) {
+    if (parts.length === 0) {
+      parts.push(...(spaced && keepEdges ? ["", line] : []), [printed]);
+    } else if (spaced) {
+      parts.push(line, [printed]);
+    } else {
+      parts[parts.length - 1].push(printed);
+    }
+
+    spaced = false;
+  }
+
+  fragments.forEach((fragment) => {
+    if (fragment.isWhitespace) {
+      spaced = true;
+    } else if (fragment.isCharData) {
+      fragment.text.split(/(\s+)/).forEach((segment, index) => {
+        if (index % 2 === 1) {
+          spaced = true;
+        } else if (segment) {
+          push(printCharacters(segment, opts));
+        }
+      });
+    } else {
+      push(fragment.printed);
+    }
+  });
+
+  if (spaced && keepEdges) {
+    parts.push(line, "");
+  }
+
+  return fill(parts);
+}
+
+// Replace each run of inline fragments that contains an inline element with a
+// single fragment that prints the run as a fill. The whitespace around each
+// run is left as it is, so that blank lines between runs are still kept.
+function mergeInlineFragments(fragments, opts, inlineRules) {
+  const merged = [];
+  let run = [];
+
+  function flush() {
+    const start = run.findIndex(({ isWhitespace }) => !isWhitespace);
+    const end =
+      run.length -
+      1 -
+      [...run].reverse().findIndex(({ isWhitespace }) => !isWhitespace);
+
+    if (run.some((fragment) => fragment.isElement)) {
+      const items = run.slice(start, end + 1);
+      const lines = items
+        .filter((fragment) => fragment.startLine !== undefined)
+        .map((fragment) => [fragment.startLine, fragment.endLine]);
+
+      merged.push(...run.slice(0, start), {
+        offset: items[0].offset,
+        printed: printInlineFragments(items, opts, false),
+        startLine: lines[0][0],
+        endLine: lines[lines.length - 1][1],
+        isCharData: true,
+        isInline: true
+      });
+      merged.push(...run.slice(end + 1));
+    } else {
+      merged.push(...run);
+    }
+
+    run = [];
+  }
+
+  fragments.forEach((fragment) => {
+    if (isInlineFragment(fragment, inlineRules)) {
+      run.push(fragment);
+    } else {
+      flush();
+      merged.push(fragment);
+    }
+  });
+
+  flush();
+  return merged;
+}
+
+// Parse the entries of the xmlSortChildren option, which look like
+// parent/child[key,...]. Each key is either an @attribute, whose value is
+// compared, or the name of a child element, whose text is compared, as in
+// dependencies/dependency[groupId,artifactId]. Parents, children, and keys are
+// name rules (see createNameMatcher).
+function getSortChildrenRules(opts) {
+  return (opts.xmlSortChildren || []).map((entry) => {
+    const match = entry.match(
+      /^\s*([^\s/[\]]+)\s*\/\s*([^\s/[\]]+)\s*\[([^\]]+)\]\s*$/
+    );
+
+    if (!match) {
+      throw new Error(`Invalid xmlSortChildren entry: ${entry}`);
+    }
+
+    return {
+      parent: createNameMatcher(match[1], "xmlSortChildren"),
+      child: createNameMatcher(match[2], "xmlSortChildren"),
+      keys: match[3].split(",").map((key) => {
+        const name = key.trim();
+
+        return name.startsWith("@")
+          ? { attribute: createNameMatcher(name.slice(1), "xmlSortChildren") }
+          : { element: createNameMatcher(name, "xmlSortChildren") };
+      })
+    };
+  });
+}
+
+// Returns the value of one of the sort keys of an element, which is empty if
+// the element doesn't have the attribute or child element.
+function getSortKey(element, key) {
+  if (key.attribute) {
+    const attribute = element.attribute.find(({ Name }) => key.attribute(Name));
+
+    return attribute ? attribute.STRING.slice(1, -1) : "";
+  }
+
+  const child = element.content?.element.find(({ Name }) => key.element(Name));
+
+  if (!child?.content) {
+    return "";
+  }
+
+  return child.content.chardata
+    .map(({ SEA_WS, TEXT }) => TEXT || SEA_WS)
+    .join("")
+    .trim();
+}
+
+// Split the fragments of an element's content into the units that move
+// around together when its children are sorted. Each child element is a unit
+// with the comments directly above it and a comment on the same line after
+// it. Comments that are followed by a blank line are units of their own.
+// Units are ranges of indices into the fragments, so the whitespace between
+// them isn't part of any unit.
+function getSortUnits(fragments) {
+  const units = [];
+  let pending = null;
+
+  fragments.forEach((fragment, index) => {
+    if (fragment.isWhitespace) {
+      return;
+    }
+
+    const prevUnit = units[units.length - 1];
+
+    if (
+      fragment.isComment &&
+      !pending &&
+      prevUnit?.element &&
+      fragment.startLine === fragments[prevUnit.end].endLine
+    ) {
+      prevUnit.end = index;
+      return;
+    }
+
+    if (pending && fragment.startLine - fragments[pending.end].endLine > 1) {
+      units.push(pending);
+      pending = null;
+    }
+
+    pending = pending || { start: index };
+    pending.end = index;
+
+    if (fragment.isElement) {
+      pending.element = fragment.node;
+      units.push(pending);
+      pending = null;
+    }
+  });
+
+  if (pending) {
+    units.push(pending);
+  }
+
+  return units;
+}
+
+// Reorder the fragments of an element's content according to the
+// xmlSortChildren rules for it. The children that match a rule are sorted by
+// its keys into the places that they took up, and everything else stays where
+// it was. The line numbers of the fragments are rewritten to match their new
+// order, so that blank lines stay where they were.
+function sortChildFragments(fragments, rules) {
+  const units = getSortUnits(fragments);
+  const order = units.slice();
+
+  units.forEach((unit) => {
+    unit.rule =
+      unit.element && rules.find((rule) => rule.child(unit.element.Name));
+    unit.keys = unit.rule
+      ? unit.rule.keys.map((key) => getSortKey(unit.element, key))
+      : [];
+  });
+
+  rules.forEach((rule) => {
+    const slots = [];
+    units.forEach((unit, index) => {
+      if (unit.rule === rule) {
+        slots.push(index);
+      }
+    });
+
+    slots
+      .map((index) => units[index])
+      .sort((left, right) => {
+        const index = left.keys.findIndex(
+          (key, keyIndex) => key !== right.keys[keyIndex]
+        );
+
+        // Keys are compared by their code units rather than with
+        // localeCompare, so that the order doesn't depend on the locale of
+        // the machine that's formatting.
+        if (index === -1) {
+          return 0;
+        }
+
+        return left.keys[index] < right.keys[index] ? -1 : 1;
+      })
+      .forEach((unit, index) => {
+        order[slots[index]] = unit;
+      });
+  });
+
+  // The number of lines between each item and the one before it, which is
+  // what determines the blank lines that are printed between them
+  const firstItem = fragments.find((fragment) => !fragment.isWhitespace);
+  const gaps = [];
+  let prevEndLine = firstItem.startLine - 1;
+
+  fragments.forEach((fragment, index) => {
+    if (!fragment.isWhitespace) {
+      gaps[index] = fragment.startLine - prevEndLine;
+      prevEndLine = fragment.endLine;
+    }
+  });
+
+  const sorted = [];
+  let index = 0;
+
+  units.forEach((unit, slot) => {
+    const moved = order[slot];
+
+    sorted.push(...fragments.slice(index, unit.start));
+    fragments.slice(moved.start, moved.end + 1).forEach((fragment, offset) => {
+      if (fragment.isWhitespace) {
+        sorted.push(fragment);
+      } else {
+        sorted.push({
+          fragment,
+          gap: offset === 0 ? gaps[unit.start] : gaps[moved.start + offset]
+        });
+      }
+    });
+
+    index = unit.end + 1;
+  });
+
+  sorted.push(...fragments.slice(index));
+  prevEndLine = firstItem.startLine - 1;
+
+  return sorted.map((item) => {
+    if (!item.fragment) {
+      return item;
+    }
+
+    const { fragment, gap } = item;
+    const startLine = prevEndLine + gap;
+    prevEndLine = startLine + fragment.endLine - fragment.startLine;
+
+    return { ...fragment, startLine, endLine: prevEndLine };
+  });
 }
 
 function printElement(path, opts, print) {
@@ -362,36 +1351,29 @@ function printElement(path, opts, print) {
       "attribute"
     );
 
-    if (opts.xmlSortAttributesByKey) {
-      attributes.sort((left, right) => {
-        const leftAttr = left.node.Name;
-        const rightAttr = right.node.Name;
-
-        // Check if the attributes are xmlns.
-        if (leftAttr === "xmlns") return -1;
-        if (rightAttr === "xmlns") return 1;
-
-        // Check if they are both in namespaces.
-        if (leftAttr.includes(":") && rightAttr.includes(":")) {
-          const [leftNS, leftKey] = leftAttr.split(":");
-          const [rightNS, rightKey] = rightAttr.split(":");
-
-          // If namespaces are equal, compare keys
-          if (leftNS === rightNS) return leftKey.localeCompare(rightKey);
+    if (opts.xmlAttributeOrder && opts.xmlAttributeOrder.length > 0) {
+      const rules = getAttributeOrderRules(opts);
+      const getRank = (name) => {
+        const index = rules.findIndex((rule) => rule(name));
+        return index === -1 ? rules.length : index;
+      };
 
-          // Handle the 1 but not both being an xmlns
-          if (leftNS === "xmlns") return -1;
-          if (rightNS === "xmlns") return 1;
+      // Attributes are ordered by the first rule that they match, and then by
+      // key if xmlSortAttributesByKey is set. Otherwise they keep their order
+      // from the source, since the sort is stable.
+      attributes.sort((left, right) => {
+        const rank = getRank(left.node.Name) - getRank(right.node.Name);
 
-          return leftNS.localeCompare(rightNS);
+        if (rank !== 0 || !opts.xmlSortAttributesByKey) {
+          return rank;
         }
 
-        // Check if the attributes have namespaces.
-        if (leftAttr.includes(":")) return -1;
-        if (rightAttr.includes(":")) return 1;
-
-        return leftAttr.localeCompare(rightAttr);
+        return compareAttributeNames(left.node.Name, right.node.Name);
       });
+    } else if (opts.xmlSortAttributesByKey) {
+      attributes.sort((left, right) =>
+        compareAttributeNames(left.node.Name, right.node.Name)
+      );
     }
 
     const separator = opts.singleAttributePerLine ? hardline : line;
@@ -438,16 +1420,12 @@ function printElement(path, opts, print) {
 
   const closeTag = group([SLASH_OPEN, END_NAME, END]);
 
-  if (isWhitespaceIgnorable(opts, Name, attribute, content)) {
+  if (isWhitespaceIgnorable(path, opts)) {
     const allFragments = path.call(
       (childPath) => getFragments(childPath, opts, print, false),
       "content"
     );
 
-    const itemFragments = allFragments.filter(
-      (fragment) => !fragment.isWhitespace
-    );
-
     if (
       opts.xmlWhitespaceSensitivity === "preserve" &&
       allFragments.some(({ preserveWhitespace }) => preserveWhitespace)
@@ -459,10 +1437,58 @@ function printElement(path, opts, print) {
       ]);
     }
 
+    const inlineRules = (opts.xmlInlineElements || []).map((entry) =>
+      createNameMatcher(entry, "xmlInlineElements")
+    );
+
+    // The contents of inline elements are printed without any whitespace
+    // around them that wasn't already there.
+    if (
+      inlineRules.some((rule) => rule(Name)) &&
+      allFragments.some((fragment) => !fragment.isWhitespace) &&
+      allFragments.every((fragment) => isInlineFragment(fragment, inlineRules))
+    ) {
+      return group([
+        openTag,
+        printInlineFragments(allFragments, opts, true),
+        closeTag
+      ]);
+    }
+
+    // Children are only sorted when the content is made up of elements and
+    // comments, so text is never reordered.
+    const sortRules = getSortChildrenRules(opts).filter((rule) =>
+      rule.parent(Name)
+    );
+    const childFragments =
+      sortRules.length > 0 &&
+      allFragments.every(
+        ({ isComment, isElement, isWhitespace }) =>
+          isComment || isElement || isWhitespace
+      )
+        ? sortChildFragments(allFragments, sortRules)
+        : allFragments;
+
+    const fragments = mergeInlineFragments(childFragments, opts, inlineRules);
+    const itemFragments = fragments.filter(
+      (fragment) => !fragment.isWhitespace
+    );
+
     if (itemFragments.length === 0) {
       return group([...parts, space, "/>"]);
     }
 
+    // If the only content of this tag is a run of text and inline elements,
+    // then it's printed like text.
+    if (itemFragments.length === 1 && itemFragments[0].isInline) {
+      return group([
+        openTag,
+        indent([softline, itemFragments[0].printed]),
+        softline,
+        closeTag
+      ]);
+    }
+
     // Determine the number of text (non-whitespace) chardata fragments
     let charDataFragCount = content.chardata.filter(
       (charData) => !!charData.TEXT
@@ -483,20 +1509,30 @@ function printElement(path, opts, print) {
     let prevFragment = null;
     let prevDocFragment = null;
 
-    allFragments.forEach((fragment) => {
+    fragments.forEach((fragment) => {
       if (!fragment.isWhitespace) {
         const prevDocItem = docs[docs.length - 1];
         const delim = prevFragment?.isWhitespace ? line : softline;
-        if (
-          prevDocFragment &&
-          fragment.startLine - prevDocFragment.endLine >= 2
-        ) {
-          // If we skipped multiple lines, just output this fragment after an extra blank line
-          docs.push(hardline, hardline, fragment.printed);
+        const blankLines = prevDocFragment
+          ? printBlankLines(
+              fragment.startLine - prevDocFragment.endLine - 1,
+              opts
+            )
+          : [];
+
+        if (blankLines.length > 0) {
+          // If we skipped multiple lines, output this fragment after as many
+          // blank lines as are allowed
+          docs.push(...blankLines, hardline, fragment.printed);
         } else if (fragment.isComment) {
           // Node is a comment, determine whether to preserve previous whitespace
           if (prevFragment?.isWhitespace && prevFragment.hasNewLine) {
             docs.push(hardline, fragment.printed);
+          } else if (!prevDocFragment && typeof fragment.printed !== "string") {
+            // A reindented or reflowed comment can break onto multiple lines,
+            // which would break the opening tag if it were part of it, so it
+            // goes right after the tag instead.
+            docs.push(group([delim, fragment.printed]));
           } else if (!prevDocFragment) {
             // First comment after an opening tag (but potentially after some whitespace):
             // We'll add the comment onto end of opening tag in an attempt to keep it with that tag
@@ -539,12 +1575,65 @@ function printElement(path, opts, print) {
       prevFragment = fragment;
     });
 
-    return group([openTag, indent(docs), hardline, closeTag]);
+    // Blank lines directly after the opening tag and before the closing tag
+    // are removed unless the options to keep them are set.
+    const [firstFragment] = fragments;
+    const lastFragment = fragments[fragments.length - 1];
+    const leadingBlankLines =
+      opts.xmlRemoveBlankLinesAfterOpenTag === false &&
+      firstFragment.isWhitespace
+        ? printBlankLines(firstFragment.printed.split("\n").length - 2, opts)
+        : [];
+    const trailingBlankLines =
+      opts.xmlRemoveBlankLinesBeforeCloseTag === false &&
+      lastFragment.isWhitespace
+        ? printBlankLines(lastFragment.printed.split("\n").length - 2, opts)
+        : [];
+
+    return group([
+      openTag,
+      indent([...leadingBlankLines, ...docs]),
+      ...trailingBlankLines,
+      hardline,
+      closeTag
+    ]);
   }
 
   return group([openTag, indent(path.call(print, "content")), closeTag]);
 }
 
+function printEntityDecl(path, opts, print) {
+  const {
+    OPEN,
+    PERCENT,
+    Name,
+    EntityValue,
+    externalID,
+    NDATA,
+    NDataName,
+    CLOSE
+  } = path.getValue();
+  const parts = [OPEN, " "];
+
+  if (PERCENT) {
+    parts.push(PERCENT, " ");
+  }
+
+  parts.push(Name, " ");
+
+  if (EntityValue) {
+    parts.push(doc.utils.replaceEndOfLine(EntityValue));
+  } else {
+    parts.push(path.call(print, "externalID"));
+  }
+
+  if (NDATA) {
+    parts.push(" ", NDATA, " ", NDataName);
+  }
+
+  return group([...parts, CLOSE]);
+}
+
 function printExternalID(path, opts, print) {
   const { Public, PubIDLiteral, System, SystemLiteral } = path.getValue();
 
@@ -552,37 +1641,214 @@ function printExternalID(path, opts, print) {
     return group([System, indent([line, SystemLiteral])]);
   }
 
+  // Notation declarations are allowed to have a public ID on its own.
+  if (!SystemLiteral) {
+    return group([Public, indent([line, PubIDLiteral])]);
+  }
+
   return group([
     group([Public, indent([line, PubIDLiteral])]),
     indent([line, SystemLiteral])
   ]);
 }
 
+function printIntSubset(path, opts, print) {
+  const { OPEN, markupdecl, CLOSE } = path.getValue();
+
+  if (markupdecl.length === 0) {
+    return [OPEN, CLOSE];
+  }
+
+  // Each declaration goes on its own line, keeping the blank lines between
+  // them up to the xmlMaxBlankLines option.
+  const parts = [];
+  path.each((declPath, index) => {
+    const decl = declPath.getValue();
+
+    if (index > 0) {
+      const prevDecl = markupdecl[index - 1];
+      parts.push(
+        hardline,
+        printBlankLines(
+          decl.location.startLine - prevDecl.location.endLine - 1,
+          opts
+        )
+      );
+    }
+
+    parts.push(print(declPath));
+  }, "markupdecl");
+
+  return [OPEN, indent([hardline, ...parts]), hardline, CLOSE];
+}
+
 function printMisc(path, opts, print) {
   const { Comment, PROCESSING_INSTRUCTION, SEA_WS } = path.getValue();
 
-  return Comment || PROCESSING_INSTRUCTION || SEA_WS;
+  if (PROCESSING_INSTRUCTION) {
+    return printProcessingInstruction(PROCESSING_INSTRUCTION, opts);
+  }
+
+  // License headers at the top level of the document are left as they are
+  if (Comment) {
+    const isDocumentLevel = path.getParentNode().name === "document";
+
+    if (isDocumentLevel && licenseCommentPattern.test(Comment)) {
+      return Comment;
+    }
+
+    return printComment(
+      { image: Comment, startOffset: path.getValue().location.startOffset },
+      opts
+    );
+  }
+
+  return SEA_WS;
 }
 
-function printProlog(path, opts, print) {
-  const { XMLDeclOpen, attribute, SPECIAL_CLOSE } = path.getValue();
-  const parts = [XMLDeclOpen];
+function printNotationDecl(path, opts, print) {
+  const { OPEN, Name, CLOSE } = path.getValue();
+
+  return group([OPEN, " ", Name, " ", path.call(print, "externalID"), CLOSE]);
+}
+
+function printPEReference(path, opts, print) {
+  return path.getValue().PEReference;
+}
+
+// Matches processing instructions whose content is made up entirely of
+// pseudo-attributes, as in <?xml-stylesheet type="text/xsl" href="style.xsl"?>
+const pseudoAttributesPattern =
+  /^<\?([^\s?]+)\s+((?:[^\s=?]+\s*=\s*(?:"[^"]*"|'[^']*')\s*)+)\?>$/;
 
-  if (attribute) {
-    parts.push(indent([softline, join(line, path.map(print, "attribute"))]));
+// Print a processing instruction the same way as the XML declaration if it
+// uses pseudo-attributes, otherwise print it as it was written.
+function printProcessingInstruction(image, opts) {
+  const match = image.match(pseudoAttributesPattern);
+
+  if (!match) {
+    return image;
   }
 
+  const [, target, content] = match;
+  const attributes = [
+    ...content.matchAll(/([^\s=]+)\s*=\s*("[^"]*"|'[^']*')/g)
+  ].map(([, name, value]) => [name, "=", quoteAttributeValue(value, opts)]);
+
   return group([
-    ...parts,
+    "<?",
+    target,
+    indent([line, join(line, attributes)]),
     opts.xmlSelfClosingSpace ? line : softline,
-    SPECIAL_CLOSE
+    "?>"
   ]);
 }
 
+// The order that the attributes of the XML declaration are required to be in
+const declarationAttributes = ["version", "encoding", "standalone"];
+
+function printProlog(path, opts, print) {
+  const { XMLDeclOpen, attribute, SPECIAL_CLOSE } = path.getValue();
+  const attributes = path.map(
+    (attributePath) => ({
+      node: attributePath.getValue(),
+      printed: print(attributePath)
+    }),
+    "attribute"
+  );
+
+  // When normalizing, the attributes are put into their canonical order and
+  // there's no whitespace around them other than a single space between each.
+  if (opts.xmlNormalizeDeclaration) {
+    attributes.sort(
+      (left, right) =>
+        declarationAttributes.indexOf(left.node.Name) -
+        declarationAttributes.indexOf(right.node.Name)
+    );
+
+    return group([
+      XMLDeclOpen.trimEnd(),
+      indent([
+        line,
+        join(
+          line,
+          attributes.map(({ printed }) => printed)
+        )
+      ]),
+      softline,
+      SPECIAL_CLOSE
+    ]);
+  }
+
+  return printDeclaration(
+    XMLDeclOpen,
+    attributes.map(({ printed }) => printed),
+    opts
+  );
+}
+
+// Print an XML declaration with the given opening and printed attributes.
+function printDeclaration(XMLDeclOpen, attributes, opts) {
+  const parts = [XMLDeclOpen];
+
+  if (attributes) {
+    parts.push(indent([softline, join(line, attributes)]));
+  }
+
+  return group([...parts, opts.xmlSelfClosingSpace ? line : softline, "?>"]);
+}
+
+// Returns whether the given XML declaration says something that a document
+// without one doesn't, namely an encoding other than UTF-8 or that the
+// document is standalone.
+function isDeclarationRequired(prolog) {
+  return prolog.attribute.some(({ Name, STRING }) => {
+    const value = STRING.slice(1, -1).toLowerCase();
+
+    return (
+      (Name === "encoding" && value !== "utf-8") ||
+      (Name === "standalone" && value === "yes")
+    );
+  });
+}
+
+// Print the XML declaration that gets added to documents without one when the
+// xmlDeclaration option is set to "always".
+function printDefaultDeclaration(opts) {
+  const attributes = [
+    ["version", "=", quoteAttributeValue('"1.0"', opts)],
+    ["encoding", "=", quoteAttributeValue('"UTF-8"', opts)]
+  ];
+
+  if (opts.xmlNormalizeDeclaration) {
+    return group([
+      "<?xml",
+      indent([line, join(line, attributes)]),
+      softline,
+      "?>"
+    ]);
+  }
+
+  return printDeclaration("<?xml ", attributes, opts);
+}
+
 function printReference(path, opts, print) {
   const { CharRef, EntityRef } = path.getValue();
 
-  return CharRef || EntityRef;
+  return CharRef ? printCharRef(CharRef, opts) : EntityRef;
+}
+
+// Insert the @format pragma at the top of the document, but after the XML
+// declaration since that has to be the first thing in the file.
+function insertPragma(text) {
+  const declaration = text.match(/^\s*<\?xml\s[\s\S]*?\?>/);
+
+  if (declaration) {
+    const [image] = declaration;
+    return `${image}\n${pragmaComment}${text.slice(image.length)}`;
+  }
+
+  return `${pragmaComment}\n${text}`;
 }
 
 const printer = {
@@ -592,10 +1858,15 @@ const printer = {
     );
   },
   embed,
+  insertPragma,
   print(path, opts, print) {
     const node = path.getValue();
 
     switch (node.name) {
+      case "attDef":
+        return printAttDef(path, opts, print);
+      case "attlistDecl":
+        return printAttlistDecl(path, opts, print);
       case "attribute":
         return printAttribute(path, opts, print);
       case "chardata":
@@ -608,10 +1879,20 @@ const printer = {
         return printDocument(path, opts, print);
       case "element":
         return printElement(path, opts, print);
+      case "elementDecl":
+        return printElementDecl(path, opts, print);
+      case "entityDecl":
+        return printEntityDecl(path, opts, print);
       case "externalID":
         return printExternalID(path, opts, print);
+      case "intSubset":
+        return printIntSubset(path, opts, print);
       case "misc":
         return printMisc(path, opts, print);
+      case "notationDecl":
+        return printNotationDecl(path, opts, print);
+      case "peReference":
+        return printPEReference(path, opts, print);
       case "prolog":
         return printProlog(path, opts, print);
       case "reference":
@@ -0,0 +1,122 @@
+// Matches numeric character references, as in &#160; or &#xA0;
+const charRefPattern = /&#(?:x[0-9a-fA-F]+|[0-9]+);/g;
+
+// Returns true if the given code point is allowed in an XML document.
+function isXmlChar(code) {
+  return (
+    code === 0x9 ||
+    code === 0xa ||
+    code === 0xd ||
+    (code >= 0x20 && code <= 0xd7ff) ||
+    (code >= 0xe000 && code <= 0xfffd) ||
+    (code >= 0x10000 && code <= 0x10ffff)
+  );
+}
+
+// Returns true if the given character has to stay escaped. That includes the
+// markup characters, the quote around the attribute value it's in, control
+// characters, and whitespace, since a literal whitespace character can be
+// normalized or reflowed away. That's any character that \s matches, like
+// U+00A0, because text is split into words on those when it's reflowed.
+function isEscapeRequired(char, quote) {
+  const code = char.codePointAt(0);
+
+  return (
+    "<>&".includes(char) ||
+    /\s/.test(char) ||
+    char === quote ||
+    code < 0x20 ||
+    (code >= 0x7f && code <= 0x9f)
+  );
+}
+
+// Print a code point as a reference in the given form.
+function printCodePoint(code, form) {
+  return form === "decimal"
+    ? `&#${code};`
+    : `&#x${code.toString(16).toUpperCase()};`;
+}
+
+// Print a numeric character reference according to the xmlCharacterReferences
+// option. The quote is the one around the attribute value that the reference
+// is in, if it's in one. References to characters that aren't allowed in XML
+// are left as they were written.
+export function printCharRef(CharRef, opts, quote) {
+  const form = opts.xmlCharacterReferences;
+
+  if (!form || form === "preserve") {
+    return CharRef;
+  }
+
+  const code = CharRef.startsWith("&#x")
+    ? parseInt(CharRef.slice(3, -1), 16)
+    : parseInt(CharRef.slice(2, -1), 10);
+
+  if (!isXmlChar(code)) {
+    return CharRef;
+  }
+
+  if (form === "hex" || form === "decimal") {
+    return printCodePoint(code, form);
+  }
+
+  const char = String.fromCodePoint(code);
+
+  if (form === "ascii" && code > 0x7f) {
+    return printCodePoint(code, "hex");
+  }
+
+  return isEscapeRequired(char, quote) ? CharRef : char;
+}
+
+// Print a run of text according to the xmlCharacterReferences option, which
+// only changes it in ascii mode where every non-ASCII character is escaped.
+export function printCharacters(text, opts) {
+  if (opts.xmlCharacterReferences !== "ascii") {
+    return text;
+  }
+
+  return text.replaceAll(/[\u0080-\u{10FFFF}]/gu, (char) =>
+    printCodePoint(char.codePointAt(0), "hex")
+  );
+}
+
+// Print a quoted attribute value according to the xmlCharacterReferences
+// option, rewriting both its references and its literal characters.
+export function printAttributeCharacters(attributeValue, opts) {
+  const quote = attributeValue[0];
+  const content = attributeValue
+    .slice(1, -1)
+    .replaceAll(charRefPattern, (CharRef) =>
+      printCharRef(CharRef, opts, quote)
+    );
+
+  return `${quote}${printCharacters(content, opts)}${quote}`;
+}
+
+// The characters that windows-1252 has between 0x80 and 0x9F, where
+// ISO-8859-1 has control characters
+const windows1252Chars = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+
+// Returns a function that checks whether or not a code point can be written in
+// the given encoding, or null for the Unicode encodings and for the ones that
+// aren't known, which can't be checked.
+export function getEncodingCheck(encoding) {
+  switch (encoding.toLowerCase()) {
+    case "ascii":
+    case "us-ascii":
+      return (code) => code <= 0x7f;
+    case "iso-8859-1":
+    case "l1":
+    case "latin1":
+      return (code) => code <= 0xff;
+    case "cp1252":
+    case "windows-1252":
+      return (code) =>
+        code <= 0x7f ||
+        (code >= 0xa0 && code <= 0xff) ||
+        windows1252Chars.includes(String.fromCodePoint(code));
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,161 @@
+import * as doc from "prettier/doc";
+
+const { fill, group, indent, join, line, softline } = doc.builders;
+
+// The number of arguments that each path command takes. Commands can repeat
+// their arguments, as in M0 0 10 10, which draws a line to 10 10.
+const pathCommandArgs = {
+  a: 7,
+  c: 6,
+  h: 1,
+  l: 2,
+  m: 2,
+  q: 4,
+  s: 4,
+  t: 2,
+  v: 1,
+  z: 0
+};
+
+// Matches a number in path data or a list of points, as in 10, -.5, or 1e-3
+const numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+// Matches the whitespace and the optional comma between numbers
+const separatorPattern = /\s*,?\s*/y;
+
+// Read the numbers out of path data or a list of points, starting at the given
+// index and stopping at the first thing that isn't a number. The flags of arc
+// commands are single digits that don't need anything between them, as in
+// a1 1 0 00.5.5, so flagIndices are the arguments that are read as flags.
+// Numbers are kept exactly as they were written.
+function readNumbers(text, index, flagIndices = []) {
+  const numbers = [];
+
+  for (;;) {
+    separatorPattern.lastIndex = index;
+    const separator = separatorPattern.exec(text);
+    const start = index + separator[0].length;
+
+    if (flagIndices.includes(numbers.length % 7)) {
+      if (!/[01]/.test(text[start] || "")) {
+        break;
+      }
+
+      numbers.push(text[start]);
+      index = start + 1;
+      continue;
+    }
+
+    numberPattern.lastIndex = start;
+    const match = numberPattern.exec(text);
+
+    if (!match) {
+      break;
+    }
+
+    numbers.push(match[0]);
+    index = start + match[0].length;
+  }
+
+  return { numbers, index };
+}
+
+// Parse path data, as in the d attribute of a path element, into a list of
+// commands, each printed with its arguments separated by single spaces.
+// Returns null if the value isn't valid path data.
+export function parsePathData(text) {
+  const commands = [];
+  let index = 0;
+
+  while (index < text.length) {
+    while (/[\s,]/.test(text[index] || "")) index += 1;
+    if (index >= text.length) break;
+
+    const command = text[index];
+    const argCount = pathCommandArgs[command.toLowerCase()];
+
+    if (
+      argCount === undefined ||
+      (commands.length === 0 && command.toLowerCase() !== "m")
+    ) {
+      return null;
+    }
+
+    const { numbers, index: nextIndex } = readNumbers(
+      text,
+      index + 1,
+      command.toLowerCase() === "a" ? [3, 4] : []
+    );
+
+    if (
+      argCount === 0
+        ? numbers.length > 0
+        : numbers.length === 0 || numbers.length % argCount !== 0
+    ) {
+      return null;
+    }
+
+    commands.push(command + numbers.join(" "));
+    index = nextIndex;
+  }
+
+  return commands.length > 0 ? commands : null;
+}
+
+// Parse a list of points, as in the points attribute of a polygon element,
+// into a list of x,y pairs. Returns null if the value isn't a valid list.
+export function parsePoints(text) {
+  const { numbers, index } = readNumbers(text, 0);
+
+  if (
+    text.slice(index).trim() !== "" ||
+    numbers.length === 0 ||
+    numbers.length % 2 !== 0
+  ) {
+    return null;
+  }
+
+  const pairs = [];
+  for (let pair = 0; pair < numbers.length; pair += 2) {
+    pairs.push(`${numbers[pair]},${numbers[pair + 1]}`);
+  }
+
+  return pairs;
+}
+
+// Parse the value of the given attribute if it's SVG path data or a list of
+// points, otherwise returns null.
+export function parseSvgAttribute(elementName, attributeName, value) {
+  const localName = elementName.split(":").pop();
+
+  if (localName === "path" && attributeName === "d") {
+    return parsePathData(value);
+  }
+
+  if (
+    (localName === "polygon" || localName === "polyline") &&
+    attributeName === "points"
+  ) {
+    return parsePoints(value);
+  }
+
+  return null;
+}
+
+// Print the parsed items of an SVG attribute value, separated by spaces. If
+// breaking is allowed and the value doesn't fit, the items are filled onto
+// indented lines inside the quotes, breaking only between them.
+export function printSvgAttribute(Name, EQUALS, quote, items, opts) {
+  if (opts.xmlSvgAttributes === "single-line") {
+    return [Name, EQUALS, quote, items.join(" "), quote];
+  }
+
+  return group([
+    Name,
+    EQUALS,
+    quote,
+    indent([softline, fill(join(line, items))]),
+    softline,
+    quote
+  ]);
+}
@@ -0,0 +1,181 @@
+import * as doc from "prettier/doc";
+
+const { group, indent, join, line } = doc.builders;
+
+// The namespaces that mark a document as XAML (WPF, UWP, Xamarin.Forms, MAUI,
+// and Avalonia), in which attribute values can be markup extensions.
+const xamlNamespaces = [
+  "http://schemas.microsoft.com/winfx/2006/xaml",
+  "http://schemas.microsoft.com/winfx/2006/xaml/presentation",
+  "http://xamarin.com/schemas/2014/forms",
+  "http://schemas.microsoft.com/dotnet/2021/maui",
+  "https://github.com/avaloniaui"
+];
+
+// Returns true if the attribute at the given path is on an element that has
+// one of the XAML namespaces declared on it or on one of its ancestors.
+export function isXamlAttribute(path) {
+  let node;
+
+  for (let level = 0; (node = path.getParentNode(level)); level += 1) {
+    if (
+      node.name === "element" &&
+      node.attribute.some(
+        ({ Name, STRING }) =>
+          (Name === "xmlns" || Name.startsWith("xmlns:")) &&
+          xamlNamespaces.includes(STRING.slice(1, -1))
+      )
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Parse the value of an attribute as a markup extension, as in
+// {Binding Path=Name, Converter={StaticResource NameConverter}}. Returns null
+// if the value isn't a markup extension or can't be parsed as one.
+export function parseMarkupExtension(text) {
+  let index = 0;
+
+  function fail() {
+    throw new SyntaxError(`Invalid markup extension: ${text}`);
+  }
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+  }
+
+  function parseValue() {
+    skipWhitespace();
+
+    // Values that start with {} are escaped literals, which may contain
+    // balanced braces, as in StringFormat={}{0:N2}.
+    if (text.startsWith("{}", index)) {
+      const start = index;
+      let depth = 0;
+
+      index += 2;
+      while (
+        index < text.length &&
+        (depth > 0 || !",}".includes(text[index]))
+      ) {
+        if (text[index] === "{") depth += 1;
+        if (text[index] === "}") depth -= 1;
+        index += text[index] === "\\" ? 2 : 1;
+      }
+
+      return text.slice(start, index).trim();
+    }
+
+    if (text[index] === "{") {
+      return parseExtension();
+    }
+
+    // Quoted values may contain commas and braces, so they're read up until
+    // the closing quote.
+    if (text[index] === "'") {
+      const start = index;
+
+      index += 1;
+      while (index < text.length && text[index] !== "'") {
+        index += text[index] === "\\" ? 2 : 1;
+      }
+
+      if (index >= text.length) fail();
+      index += 1;
+
+      return text.slice(start, index);
+    }
+
+    const start = index;
+    while (index < text.length && !",{}".includes(text[index])) {
+      index += text[index] === "\\" ? 2 : 1;
+    }
+
+    const value = text.slice(start, index).trim();
+    if (value === "") fail();
+
+    return value;
+  }
+
+  function parseArgument() {
+    skipWhitespace();
+
+    const key = text.slice(index).match(/^([A-Za-z_][\w.:]*)\s*=/);
+    if (key) {
+      index += key[0].length;
+      return { key: key[1], value: parseValue() };
+    }
+
+    return { key: null, value: parseValue() };
+  }
+
+  function parseExtension() {
+    index += 1;
+    skipWhitespace();
+
+    const typeName = text.slice(index).match(/^[A-Za-z_][\w.:]*(?=[\s}])/);
+    if (!typeName) fail();
+    index += typeName[0].length;
+
+    const args = [];
+    skipWhitespace();
+
+    if (text[index] !== "}") {
+      args.push(parseArgument());
+      skipWhitespace();
+
+      while (text[index] === ",") {
+        index += 1;
+        args.push(parseArgument());
+        skipWhitespace();
+      }
+    }
+
+    if (text[index] !== "}") fail();
+    index += 1;
+
+    return { typeName: typeName[0], args };
+  }
+
+  // A value that starts with {} is escaped, meaning the rest of it is a
+  // literal and not a markup extension.
+  if (!text.startsWith("{") || text.startsWith("{}")) {
+    return null;
+  }
+
+  try {
+    const extension = parseExtension();
+    return index === text.length ? extension : null;
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+
+    throw error;
+  }
+}
+
+// Print a parsed markup extension, with one argument per line if it doesn't
+// fit. Keys and values are printed exactly as they were written.
+export function printMarkupExtension({ typeName, args }) {
+  if (args.length === 0) {
+    return ["{", typeName, "}"];
+  }
+
+  const printedArgs = args.map(({ key, value }) => {
+    const printedValue =
+      typeof value === "string" ? value : printMarkupExtension(value);
+
+    return key ? [key, "=", printedValue] : printedValue;
+  });
+
+  return group([
+    "{",
+    typeName,
+    indent([line, join([",", line], printedArgs)]),
+    "}"
+  ]);
+}
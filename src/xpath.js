@@ -0,0 +1,369 @@
+import * as doc from "prettier/doc";
+import { getElementNamespaceURI } from "./namespaces.js";
+
+const { group, indent, join, line, softline } = doc.builders;
+
+// The attributes that hold XPath expressions, for each of the namespaces of
+// the elements that they're on (XSLT, ISO Schematron, and Schematron 1.5).
+const xpathAttributes = {
+  "http://www.w3.org/1999/XSL/Transform": ["match", "select", "test", "use"],
+  "http://purl.oclc.org/dsdl/schematron": ["context", "select", "test"],
+  "http://www.ascc.net/xml/schematron": ["context", "select", "test"]
+};
+
+// Returns true if the attribute at the given path holds an XPath expression,
+// based on its name and the namespace of the element that it's on.
+export function isXPathAttribute(path) {
+  const { Name } = path.getValue();
+  const element = path.getParentNode();
+
+  if (element.name !== "element" || Name.includes(":")) {
+    return false;
+  }
+
+  const attributes = xpathAttributes[getElementNamespaceURI(path)];
+
+  return !!attributes && attributes.includes(Name);
+}
+
+// The names that are operators when they're in an operator position, as
+// opposed to names of elements in a path
+const operatorNames = [
+  "and",
+  "cast",
+  "castable",
+  "div",
+  "else",
+  "eq",
+  "except",
+  "ge",
+  "gt",
+  "idiv",
+  "in",
+  "instance",
+  "intersect",
+  "is",
+  "le",
+  "lt",
+  "mod",
+  "ne",
+  "or",
+  "return",
+  "satisfies",
+  "then",
+  "to",
+  "treat",
+  "union"
+];
+
+// The names that start an expression in XPath 2.0, when followed by a ( or a
+// variable, as in if (...) or for $x in ...
+const keywordNames = ["every", "for", "if", "some"];
+
+// The symbols that are operators, longest first so that they match first
+const operatorSymbols = [
+  "&lt;=",
+  "&gt;=",
+  "&lt;",
+  "&gt;",
+  "!=",
+  "<=",
+  ">=",
+  "<",
+  ">",
+  "=",
+  "|",
+  "+",
+  "-",
+  "*"
+];
+
+// The symbols that are printed without any space around them
+const pathSymbols = ["//", "/", "::", "..", ".", "@", "?"];
+
+const namePattern = /(?:[A-Za-z_][\w.-]*|\*)(?::(?:[A-Za-z_][\w.-]*|\*))?/y;
+const numberPattern = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const variablePattern = /\$[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?/y;
+
+// Read the string literal that starts at the given index. Inside of an
+// attribute value, strings can be quoted with the other quote or with an
+// escaped quote, as in &quot;text&quot;.
+function readString(text, index) {
+  const delimiter = ["&quot;", "&apos;", '"', "'"].find((quote) =>
+    text.startsWith(quote, index)
+  );
+
+  if (!delimiter) {
+    return null;
+  }
+
+  const end = text.indexOf(delimiter, index + delimiter.length);
+  return end === -1 ? null : text.slice(index, end + delimiter.length);
+}
+
+// Split the raw value of an attribute into XPath tokens, each with a type and
+// a value. Whether a * or a name is an operator depends on the token before
+// it, as in the XPath lexical rules. Returns null if the value can't be
+// tokenized, as in if it has comments or references other than the ones for
+// markup characters and quotes.
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  const isOperatorPosition = () => {
+    const prev = tokens[tokens.length - 1];
+
+    return (
+      !!prev &&
+      !["op", "keyword", "open", "comma", "unary"].includes(prev.type) &&
+      !["@", "::", "/", "//"].includes(prev.value)
+    );
+  };
+
+  // A *, +, or ? right after the type of an instance of, treat as, cast as,
+  // or castable as is an occurrence indicator that belongs to the type, as in
+  // xs:string* or item()+, rather than an operator.
+  const isOccurrencePosition = () => {
+    let typeIndex = tokens.length - 1;
+
+    if (tokens[typeIndex] && tokens[typeIndex].type === "close") {
+      for (let depth = 0; typeIndex >= 0; typeIndex -= 1) {
+        const { type } = tokens[typeIndex];
+        depth += type === "close" ? 1 : type === "open" ? -1 : 0;
+
+        if (depth === 0) {
+          break;
+        }
+      }
+
+      typeIndex -= 1;
+    }
+
+    const type = tokens[typeIndex];
+    const prev = tokens[typeIndex - 1];
+
+    return (
+      !!type &&
+      !!prev &&
+      type.type === "operand" &&
+      prev.type === "op" &&
+      ["cast as", "castable as", "instance of", "treat as"].includes(prev.value)
+    );
+  };
+
+  const match = (pattern) => {
+    pattern.lastIndex = index;
+    const result = pattern.exec(text);
+    return result && result[0];
+  };
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index += 1;
+      continue;
+    }
+
+    if (text.startsWith("(:", index)) {
+      return null;
+    }
+
+    let token;
+    const string = readString(text, index);
+    const symbol =
+      pathSymbols.find((value) => text.startsWith(value, index)) ||
+      operatorSymbols.find((value) => text.startsWith(value, index));
+
+    if (string) {
+      token = { type: "operand", value: string };
+    } else if (text[index] === "&" && !symbol) {
+      return null;
+    } else if (match(numberPattern)) {
+      token = { type: "operand", value: match(numberPattern) };
+    } else if (text[index] === "$") {
+      const variable = match(variablePattern);
+      if (!variable) return null;
+      token = { type: "operand", value: variable };
+    } else if ("([".includes(text[index])) {
+      token = { type: "open", value: text[index] };
+    } else if (")]".includes(text[index])) {
+      token = { type: "close", value: text[index] };
+    } else if (text[index] === ",") {
+      token = { type: "comma", value: "," };
+    } else if (["*", "+", "?"].includes(symbol) && isOccurrencePosition()) {
+      token = { type: "occurrence", value: symbol };
+    } else if (symbol === "*" && !isOperatorPosition()) {
+      token = { type: "operand", value: match(namePattern) };
+    } else if (symbol === "-" && !isOperatorPosition()) {
+      token = { type: "unary", value: "-" };
+    } else if (symbol && pathSymbols.includes(symbol)) {
+      token = { type: "path", value: symbol };
+    } else if (symbol) {
+      token = { type: "op", value: symbol };
+    } else {
+      const name = match(namePattern);
+      if (!name) return null;
+
+      const rest = text.slice(index + name.length);
+      if (operatorNames.includes(name) && isOperatorPosition()) {
+        token = { type: "op", value: name };
+      } else if (
+        keywordNames.includes(name) &&
+        !isOperatorPosition() &&
+        /^\s*[($]/.test(rest)
+      ) {
+        token = { type: "keyword", value: name };
+      } else {
+        token = { type: "operand", value: name };
+      }
+    }
+
+    // The second word of the operators like instance of and cast as belongs
+    // to the operator.
+    const prev = tokens[tokens.length - 1];
+    if (
+      prev &&
+      prev.type === "op" &&
+      ["cast", "castable", "instance", "treat"].includes(prev.value) &&
+      ["as", "of"].includes(token.value)
+    ) {
+      prev.value += ` ${token.value}`;
+    } else {
+      tokens.push(token);
+    }
+
+    index += token.value.length;
+  }
+
+  return tokens;
+}
+
+// Nest the tokens inside of their parentheses and brackets. Returns null if
+// they aren't balanced.
+function nest(tokens) {
+  const root = [];
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+
+    if (token.type === "open") {
+      const nested = { type: "group", open: token.value, children: [] };
+      current.push(nested);
+      stack.push(nested.children);
+    } else if (token.type === "close") {
+      const parent = stack[stack.length - 2];
+      const nested = parent && parent[parent.length - 1];
+
+      if (!nested || (nested.open === "(") !== (token.value === ")")) {
+        return null;
+      }
+
+      nested.close = token.value;
+      stack.pop();
+    } else {
+      current.push(token);
+    }
+  }
+
+  return stack.length === 1 ? root : null;
+}
+
+// Split a list of items on the tokens that match the given predicate.
+function split(items, predicate) {
+  const parts = [[]];
+
+  items.forEach((item) => {
+    if (predicate(item)) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(item);
+    }
+  });
+
+  return parts;
+}
+
+// Print an operand of an and or an or, with single spaces around operators
+// and keywords and between operands, and none around the parts of a path.
+function printOperand(items) {
+  const parts = [];
+
+  items.forEach((item, index) => {
+    const prev = items[index - 1];
+
+    if (
+      prev &&
+      (["op", "keyword"].includes(prev.type) ||
+        item.type === "op" ||
+        (item.type === "operand" &&
+          ["group", "occurrence", "operand"].includes(prev.type)))
+    ) {
+      parts.push(" ");
+    }
+
+    if (item.type === "group") {
+      parts.push(
+        item.children.length === 0
+          ? [item.open, item.close]
+          : group([
+              item.open,
+              indent([softline, printExpression(item.children)]),
+              softline,
+              item.close
+            ])
+      );
+    } else {
+      parts.push(item.value);
+    }
+  });
+
+  return parts;
+}
+
+// Print an expression, breaking its or and and chains before each operator
+// and its comma-separated lists after each comma if they don't fit.
+function printExpression(items) {
+  const isOperator = (value) => (item) =>
+    item.type === "op" && item.value === value;
+
+  return join(
+    [",", line],
+    split(items, (item) => item.type === "comma").map((commaPart) =>
+      group(
+        join(
+          [line, "or "],
+          split(commaPart, isOperator("or")).map((orPart) =>
+            group(
+              join(
+                [line, "and "],
+                split(orPart, isOperator("and")).map(printOperand)
+              )
+            )
+          )
+        )
+      )
+    )
+  );
+}
+
+// Print the given attribute value as an XPath expression inside of its quotes,
+// breaking it onto indented lines if it doesn't fit. Returns null if the value
+// can't be parsed as an expression.
+export function printXPathAttribute(Name, EQUALS, attributeValue) {
+  const tokens = tokenize(attributeValue.slice(1, -1));
+  const items = tokens && tokens.length > 0 && nest(tokens);
+
+  if (!items) {
+    return null;
+  }
+
+  const quote = attributeValue[0];
+  return group([
+    Name,
+    EQUALS,
+    quote,
+    indent([softline, printExpression(items)]),
+    softline,
+    quote
+  ]);
+}
@@ -47,6 +47,79 @@ test("embeds properly when the type of the script tag matches", async () => {
   expect(formatted).toEqual(expected);
 });
 
+test("embeds script tags by MIME type, lang attribute, or default", async () => {
+  const formatted = await format(
+    `<root xmlns="http://www.w3.org/1999/xhtml">
+<script>let a=1</script>
+<script type="module">import x from "y"</script>
+<script type="application/ld+json; charset=utf-8">{"a":1}</script>
+<script lang="ts">let b:number=1</script>
+<script language="groovy">def x = 1</script>
+<style>a{color:red}</style>
+<style lang="en">b{color:blue}</style>
+</root>`,
+    { xmlWhitespaceSensitivity: "ignore" }
+  );
+  const expected = `<root xmlns="http://www.w3.org/1999/xhtml">
+  <script>
+let a = 1;
+  </script>
+  <script type="module">
+import x from "y";
+  </script>
+  <script type="application/ld+json; charset=utf-8">
+{ "a": 1 }
+  </script>
+  <script lang="ts">
+let b: number = 1;
+  </script>
+  <script language="groovy">def x = 1</script>
+  <style>
+a {
+  color: red;
+}
+  </style>
+  <style lang="en">
+b {
+  color: blue;
+}
+  </style>
+</root>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("does not embed untyped script tags outside of XHTML and SVG", async () => {
+  const expected = `<cfg>
+  <script>scripts/build.sh</script>
+  <svg xmlns="http://www.w3.org/2000/svg">
+    <script>
+let a = 1;
+    </script>
+  </svg>
+</cfg>
+`;
+  const formatted = await format(expected.replace("let a = 1;", "let a=1"), {
+    xmlWhitespaceSensitivity: "ignore"
+  });
+
+  expect(formatted).toEqual(expected);
+});
+
+test("embeds script tags by MIME types from xmlEmbeddedMimeTypes", async () => {
+  const formatted = await format(
+    '<script type="text/x-json-data">{"a":1}</script>',
+    { xmlEmbeddedMimeTypes: ["text/x-json-data=json"] }
+  );
+  const expected = `<script type="text/x-json-data">
+{ "a": 1 }
+</script>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
 const customScriptPlugin = {
   parsers: {
     customScript: {
@@ -96,3 +169,176 @@ test("does not embed when self-closing", async () => {
 
   expect(formatted).toEqual(expected);
 });
+
+test("embeds properly when the content is wrapped in CDATA", async () => {
+  const formatted = await format(
+    '<script type="text/javascript">\n  <![CDATA[if(a<b&&c){d()}]]>\n</script>'
+  );
+  const expected = `<script type="text/javascript"><![CDATA[
+if (a < b && c) {
+  d();
+}
+]]></script>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("does not embed when there is text next to the CDATA", async () => {
+  const expected = `<script type="text/javascript">1+1;<![CDATA[2+2;]]></script>\n`;
+  const formatted = await format(expected);
+
+  expect(formatted).toEqual(expected);
+});
+
+const closeCDataPlugin = {
+  parsers: {
+    closeCData: {
+      ...customScriptPlugin.parsers.customScript,
+      astFormat: "closeCData"
+    }
+  },
+  printers: {
+    closeCData: {
+      print(path) {
+        return `${path.getValue().text}]]>`;
+      }
+    }
+  }
+};
+
+test("escapes the end of CDATA sections in embedded content", async () => {
+  const formatted = await format(
+    '<script type="text/closeCData"><![CDATA[foo]]></script>',
+    {
+      plugins: [closeCDataPlugin]
+    }
+  );
+
+  const expected = `<script type="text/closeCData"><![CDATA[
+foo]]]]><![CDATA[>
+]]></script>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("embeds properly when the element matches xmlEmbeddedLanguages", async () => {
+  const formatted = await format(
+    '<query lang="graphql">query { a { b } }</query>',
+    {
+      xmlEmbeddedLanguages: ["json=json", "query[lang=graphql]=graphql"]
+    }
+  );
+
+  const expected = `<query lang="graphql">
+query {
+  a {
+    b
+  }
+}
+</query>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("does not embed when the attribute of xmlEmbeddedLanguages does not match", async () => {
+  const expected = `<query lang="sql">select 1</query>\n`;
+  const formatted = await format(expected, {
+    xmlEmbeddedLanguages: ["query[lang=graphql]=graphql"]
+  });
+
+  expect(formatted).toEqual(expected);
+});
+
+test("embeds attribute values on one line when they fit", async () => {
+  const formatted = await format(
+    `<a style="color:red;background:blue" onclick="foo( 'x' )" data-config='{"a":1}' />`
+  );
+  const expected = `<a
+  style="color: red; background: blue"
+  onclick="foo('x')"
+  data-config='{ "a": 1 }'
+/>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("embeds attribute values on indented lines when they do not fit", async () => {
+  const formatted = await format(
+    `<a style="color:red;font-family:'Helvetica Neue', Arial;margin:0 auto;padding:0" />`
+  );
+  const expected = `<a
+  style="
+    color: red;
+    font-family: 'Helvetica Neue', Arial;
+    margin: 0 auto;
+    padding: 0;
+  "
+/>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("escapes embedded attribute values for the quote style", async () => {
+  const formatted = await format(
+    `<a onclick="if (a &lt; b) { c() }" data-config='{"a":"b"}' />`,
+    { xmlQuoteAttributes: "double" }
+  );
+  const expected = `<a
+  onclick="
+    if (a &lt; b) {
+      c();
+    }
+  "
+  data-config="{ &quot;a&quot;: &quot;b&quot; }"
+/>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("keeps the semicolons between statements in attribute values", async () => {
+  const formatted = await format(
+    `<a onclick="first(); second(); third(); fourth(); fifth(); sixth(); seventh()" />`,
+    { semi: false }
+  );
+  const expected = `<a
+  onclick="
+    first();
+    second();
+    third();
+    fourth();
+    fifth();
+    sixth();
+    seventh();
+  "
+/>
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("does not embed attributes that are not event handlers", async () => {
+  const expected = `<ThresholdFilter level="info" onMatch="ACCEPT" onMismatch="DENY" />\n`;
+  const formatted = await format(expected);
+
+  expect(formatted).toEqual(expected);
+});
+
+test("does not embed attribute values with entity references", async () => {
+  const expected = `<a style="color: &color;" />\n`;
+  const formatted = await format(expected);
+
+  expect(formatted).toEqual(expected);
+});
+
+test("does not embed style attributes that are not CSS declarations", async () => {
+  const expected = `<a style="@style/Widget" />\n`;
+  const formatted = await format(expected);
+
+  expect(formatted).toEqual(expected);
+});
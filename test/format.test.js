@@ -104,3 +104,964 @@ test("xmlQuoteAttributes => double", async () => {
 
   expect(formatted).toMatchSnapshot();
 });
+
+test("xmlQuoteAttributes => auto", async () => {
+  const formatted = await format(fixture, {
+    xmlQuoteAttributes: "auto"
+  });
+
+  expect(formatted).toMatchSnapshot();
+});
+
+test("xmlQuoteAttributes unescapes quotes that are no longer needed", async () => {
+  const content = `<a b='say "hi"' c="it&apos;s" d='&quot;x&quot; &apos;' />\n`;
+
+  const double = await format(content, { xmlQuoteAttributes: "double" });
+  expect(double).toEqual(
+    `<a b="say &quot;hi&quot;" c="it's" d="&quot;x&quot; '" />\n`
+  );
+
+  const single = await format(double, { xmlQuoteAttributes: "single" });
+  expect(single).toEqual(`<a b='say "hi"' c='it&apos;s' d='"x" &apos;' />\n`);
+
+  const auto = await format(content, { xmlQuoteAttributes: "auto" });
+  expect(auto).toEqual(`<a b='say "hi"' c="it's" d='"x" &apos;' />\n`);
+});
+
+test("doctype internal subset", async () => {
+  const formatted = await format(
+    `<!DOCTYPE note SYSTEM "note.dtd" [
+<!ELEMENT note (to,from , body)*>
+      <!ELEMENT to (#PCDATA|b)*>
+<!ATTLIST note id ID #REQUIRED type (a|b) "a" version CDATA #FIXED "1.0" lang NMTOKEN #IMPLIED>
+<!ATTLIST to x CDATA #IMPLIED>
+
+<!-- entities -->
+<!ENTITY % common SYSTEM "common.ent">
+%common;
+<!ENTITY logo SYSTEM "logo.gif" NDATA gif>
+<!NOTATION gif PUBLIC "gif viewer">
+<?pi stuff?>
+]>
+<note id="x" />`
+  );
+
+  const expected = `<!DOCTYPE note SYSTEM "note.dtd" [
+  <!ELEMENT note (to, from, body)*>
+  <!ELEMENT to (#PCDATA | b)*>
+  <!ATTLIST note
+    id ID #REQUIRED
+    type (a | b) "a"
+    version CDATA #FIXED "1.0"
+    lang NMTOKEN #IMPLIED
+  >
+  <!ATTLIST to x CDATA #IMPLIED>
+
+  <!-- entities -->
+  <!ENTITY % common SYSTEM "common.ent">
+  %common;
+  <!ENTITY logo SYSTEM "logo.gif" NDATA gif>
+  <!NOTATION gif PUBLIC "gif viewer">
+  <?pi stuff?>
+]>
+<note id="x" />
+`;
+
+  expect(formatted).toEqual(expected);
+});
+
+test("requirePragma => true", async () => {
+  const content = "<foo><bar/></foo>\n";
+
+  expect(await format(content, { requirePragma: true })).toEqual(content);
+  expect(
+    await format(
+      `<?xml version="1.0"?>\n<!-- @prettier -->\n<foo>\n<bar/></foo>\n`,
+      { requirePragma: true }
+    )
+  ).toEqual(
+    `<?xml version="1.0" ?>\n<!-- @prettier -->\n<foo>\n<bar /></foo>\n`
+  );
+});
+
+test("insertPragma => true", async () => {
+  expect(await format("<foo />", { insertPragma: true })).toEqual(
+    "<!-- @format -->\n<foo />\n"
+  );
+  expect(
+    await format('<?xml version="1.0"?>\n<foo />', { insertPragma: true })
+  ).toEqual('<?xml version="1.0" ?>\n<!-- @format -->\n<foo />\n');
+  expect(
+    await format("<!-- @format -->\n<foo />", { insertPragma: true })
+  ).toEqual("<!-- @format -->\n<foo />\n");
+});
+
+describe("prettier-ignore", () => {
+  const content = `<root>
+  <!-- prettier-ignore -->
+  <keep   a = "1"  >
+      <x/>
+  </keep>
+  <format   a = "1"  />
+</root>
+`;
+
+  test.each(["strict", "preserve", "ignore"])(
+    "xmlWhitespaceSensitivity => %s",
+    async (xmlWhitespaceSensitivity) => {
+      const formatted = await format(content, { xmlWhitespaceSensitivity });
+
+      expect(formatted).toEqual(`<root>
+  <!-- prettier-ignore -->
+  <keep   a = "1"  >
+      <x/>
+  </keep>
+  <format a="1" />
+</root>
+`);
+    }
+  );
+
+  test("root element", async () => {
+    const content = `<!-- prettier-ignore -->\n<root   a = "1"  >\n    <x/>\n</root>\n`;
+
+    expect(await format(content)).toEqual(content);
+  });
+});
+
+describe("xmlAttributeOrder", () => {
+  const content = `<LinearLayout android:orientation="vertical" android:layout_width="match_parent" xmlns:android="http://schemas.android.com/apk/res/android" tools:context=".Main" android:layout_height="wrap_content" android:id="@+id/root" />`;
+  const xmlAttributeOrder = ["$xmlns", "id", "layout_*", "/^tools:/"];
+
+  test("unmatched attributes keep their order", async () => {
+    const formatted = await format(content, { xmlAttributeOrder });
+
+    expect(formatted).toEqual(`<LinearLayout
+  xmlns:android="http://schemas.android.com/apk/res/android"
+  android:id="@+id/root"
+  android:layout_width="match_parent"
+  android:layout_height="wrap_content"
+  tools:context=".Main"
+  android:orientation="vertical"
+/>
+`);
+  });
+
+  test("xmlSortAttributesByKey => true", async () => {
+    const formatted = await format(content, {
+      xmlAttributeOrder: ["id"],
+      xmlSortAttributesByKey: true
+    });
+
+    expect(formatted).toEqual(`<LinearLayout
+  android:id="@+id/root"
+  xmlns:android="http://schemas.android.com/apk/res/android"
+  android:layout_height="wrap_content"
+  android:layout_width="match_parent"
+  android:orientation="vertical"
+  tools:context=".Main"
+/>
+`);
+  });
+
+  test("throws on invalid regular expressions", async () => {
+    await expect(
+      format(content, { xmlAttributeOrder: ["/[/"] })
+    ).rejects.toThrow("Invalid xmlAttributeOrder entry: /[/");
+  });
+
+  test("throws on regular expressions with the g or y flags", async () => {
+    await expect(
+      format(content, { xmlAttributeOrder: ["/^id$/g"] })
+    ).rejects.toThrow("Invalid xmlAttributeOrder entry: /^id$/g");
+    await expect(
+      format(content, { xmlAttributeOrder: ["/id/y"] })
+    ).rejects.toThrow("Invalid xmlAttributeOrder entry: /id/y");
+  });
+});
+
+describe("XAML markup extensions", () => {
+  test("normalizes spacing and breaks long extensions", async () => {
+    const formatted =
+      await format(`<Window xmlns="http://schemas.microsoft.com/winfx/2006/xaml/presentation">
+  <TextBox Text="{Binding Path=Customer.Name, Mode=TwoWay, Converter={StaticResource NameConverter}, UpdateSourceTrigger=PropertyChanged}" />
+  <TextBlock Text="{Binding Name,Mode=OneWay,  StringFormat={}{0:N2}}" Tag="{}{literal}" />
+</Window>`);
+
+    expect(formatted)
+      .toEqual(`<Window xmlns="http://schemas.microsoft.com/winfx/2006/xaml/presentation">
+  <TextBox
+    Text="{Binding
+      Path=Customer.Name,
+      Mode=TwoWay,
+      Converter={StaticResource NameConverter},
+      UpdateSourceTrigger=PropertyChanged}"
+  />
+  <TextBlock
+    Text="{Binding Name, Mode=OneWay, StringFormat={}{0:N2}}"
+    Tag="{}{literal}"
+  />
+</Window>
+`);
+  });
+
+  test("leaves values alone outside of XAML documents", async () => {
+    const content = `<root value="{Binding Name,Mode=OneWay}" />\n`;
+
+    expect(await format(content)).toEqual(content);
+  });
+});
+
+test("processing instructions with pseudo-attributes", async () => {
+  const formatted = await format(
+    `<?xml-stylesheet   type='text/xsl'   href="http://example.com/path/to/a/stylesheet/transform.xsl"  media="screen"?>
+<root><?pagebreak?><?php echo "hi"; ?></root>`,
+    { xmlQuoteAttributes: "double" }
+  );
+
+  expect(formatted).toEqual(`<?xml-stylesheet
+  type="text/xsl"
+  href="http://example.com/path/to/a/stylesheet/transform.xsl"
+  media="screen"
+?>
+<root><?pagebreak?><?php echo "hi"; ?></root>
+`);
+});
+
+describe("xmlCommentFormatting", () => {
+  const content = `<!--
+  Copyright (c) 2024
+      All rights reserved.
+-->
+<root>
+        <!--
+          indented too far
+            nested line
+        -->
+    <a>
+ <!--short-->
+ <!-- prettier-ignore -->
+ <b   />
+<!-- This is a very long single line comment that goes past the print width -->
+    </a>
+</root>
+`;
+
+  test("xmlCommentFormatting => reindent", async () => {
+    const formatted = await format(content, {
+      xmlCommentFormatting: "reindent",
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<!--
+  Copyright (c) 2024
+      All rights reserved.
+-->
+<root>
+  <!--
+    indented too far
+      nested line
+  -->
+  <a>
+    <!--short-->
+    <!-- prettier-ignore -->
+    <b   />
+    <!-- This is a very long single line comment that goes past the print width -->
+  </a>
+</root>
+`);
+  });
+
+  test("xmlCommentFormatting => reflow", async () => {
+    const formatted = await format(content, {
+      xmlCommentFormatting: "reflow",
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<!--
+  Copyright (c) 2024
+      All rights reserved.
+-->
+<root>
+  <!--
+    indented too far
+      nested line
+  -->
+  <a>
+    <!-- short -->
+    <!-- prettier-ignore -->
+    <b   />
+    <!--
+      This is a very long single line comment that goes past the print width
+    -->
+  </a>
+</root>
+`);
+  });
+
+  test("xmlCommentFormatting => reflow after an opening tag", async () => {
+    const opts = {
+      xmlCommentFormatting: "reflow",
+      xmlWhitespaceSensitivity: "ignore"
+    };
+    const formatted = await format(
+      "<root><a><!-- a comment that is longer than the print width once it has been indented --></a></root>\n",
+      opts
+    );
+
+    expect(formatted).toEqual(`<root>
+  <a>
+    <!--
+      a comment that is longer than the print width once it has been indented
+    -->
+  </a>
+</root>
+`);
+    expect(await format(formatted, opts)).toEqual(formatted);
+  });
+
+  test("xmlCommentFormatting => reflow with a list", async () => {
+    const formatted = await format(
+      `<root>
+  <!--
+    These are the steps that need to happen before the new release can be published:
+    - update the changelog
+    - bump the version
+    After that, tag the commit.
+  -->
+</root>
+`,
+      { xmlCommentFormatting: "reflow", xmlWhitespaceSensitivity: "ignore" }
+    );
+
+    expect(formatted).toEqual(`<root>
+  <!--
+    These are the steps that need to happen before the new release can be
+    published:
+    - update the changelog
+    - bump the version
+    After that, tag the commit.
+  -->
+</root>
+`);
+  });
+});
+
+describe("XML declaration", () => {
+  const content = `<?xml\tstandalone="yes"   encoding='UTF-8' version="1.0"  ?>
+<root />
+`;
+
+  test("xmlNormalizeDeclaration => true", async () => {
+    const formatted = await format(content, {
+      xmlNormalizeDeclaration: true,
+      xmlQuoteAttributes: "double"
+    });
+
+    expect(formatted).toEqual(
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<root />\n`
+    );
+  });
+
+  test("xmlDeclaration => never", async () => {
+    const formatted = await format(
+      `<?xml version="1.0" encoding="utf-8" standalone="no"?>\n<root />\n`,
+      { xmlDeclaration: "never" }
+    );
+
+    expect(formatted).toEqual("<root />\n");
+  });
+
+  test("xmlDeclaration => never keeps a standalone declaration", async () => {
+    const formatted = await format(content, { xmlDeclaration: "never" });
+
+    expect(formatted).toEqual(
+      `<?xml\tstandalone="yes" encoding='UTF-8' version="1.0" ?>\n<root />\n`
+    );
+  });
+
+  test("xmlDeclaration => never keeps a declared encoding", async () => {
+    const formatted = await format(
+      `<?xml version="1.0" encoding="ISO-8859-1"?>\n<root />\n`,
+      { xmlDeclaration: "never" }
+    );
+
+    expect(formatted).toEqual(
+      `<?xml version="1.0" encoding="ISO-8859-1" ?>\n<root />\n`
+    );
+  });
+
+  test("xmlDeclaration => always", async () => {
+    const formatted = await format("<!-- comment -->\n<root />\n", {
+      xmlDeclaration: "always",
+      xmlNormalizeDeclaration: true,
+      xmlQuoteAttributes: "single"
+    });
+
+    expect(formatted).toEqual(
+      "<?xml version='1.0' encoding='UTF-8'?>\n<!-- comment -->\n<root />\n"
+    );
+  });
+
+  test("xmlDeclaration => always keeps an existing declaration", async () => {
+    const formatted = await format(content, { xmlDeclaration: "always" });
+
+    expect(formatted).toEqual(
+      `<?xml\tstandalone="yes" encoding='UTF-8' version="1.0" ?>\n<root />\n`
+    );
+  });
+});
+
+describe("xmlCharacterReferences", () => {
+  const content = `<a title="&#160;&#x22;&#39;&#x3C;é">&#xe9;&#233;&#x1F600;&#60;&#9;é</a>\n`;
+
+  test("keeps the whitespace after hexadecimal references", async () => {
+    const formatted = await format(`<a>x &#xAB; y &#171; z</a>\n`, {
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<a>\n  x&#xAB; y&#171; z\n</a>\n`);
+  });
+
+  test("xmlCharacterReferences => hex", async () => {
+    const formatted = await format(content, { xmlCharacterReferences: "hex" });
+
+    expect(formatted).toEqual(
+      `<a title="&#xA0;&#x22;&#x27;&#x3C;é">&#xE9;&#xE9;&#x1F600;&#x3C;&#x9;é</a>\n`
+    );
+  });
+
+  test("xmlCharacterReferences => decimal", async () => {
+    const formatted = await format(content, {
+      xmlCharacterReferences: "decimal"
+    });
+
+    expect(formatted).toEqual(
+      `<a title="&#160;&#34;&#39;&#60;é">&#233;&#233;&#128512;&#60;&#9;é</a>\n`
+    );
+  });
+
+  test("xmlCharacterReferences => literal", async () => {
+    const formatted = await format(content, {
+      xmlCharacterReferences: "literal"
+    });
+
+    expect(formatted).toEqual(
+      `<a title="&#160;&#x22;'&#x3C;é">éé😀&#60;&#9;é</a>\n`
+    );
+  });
+
+  test("xmlCharacterReferences => literal keeps whitespace escaped", async () => {
+    const opts = {
+      xmlCharacterReferences: "literal",
+      xmlWhitespaceSensitivity: "ignore"
+    };
+    const formatted = await format(`<a>x&#160;y&#x2003;z</a>\n`, opts);
+
+    expect(formatted).toEqual(`<a>\n  x&#160;y&#x2003;z\n</a>\n`);
+    expect(await format(formatted, opts)).toEqual(formatted);
+  });
+
+  test("xmlCharacterReferences => ascii", async () => {
+    const formatted = await format(content, {
+      xmlCharacterReferences: "ascii"
+    });
+
+    expect(formatted).toEqual(
+      `<a title="&#xA0;&#x22;'&#x3C;&#xE9;">&#xE9;&#xE9;&#x1F600;&#60;&#9;&#xE9;</a>\n`
+    );
+  });
+});
+
+test("xmlWrapAttributeValues => true", async () => {
+  const content = `<beans xsi:schemaLocation="http://www.springframework.org/schema/beans http://www.springframework.org/schema/beans/spring-beans.xsd">
+  <div class="alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu" id="x y"/>
+  <img alt="A description of the picture that is longer than the print width on its own"/>
+  <bean depends-on="
+              first
+              second   third
+"/>
+</beans>
+`;
+
+  const formatted = await format(content, {
+    xmlWhitespaceSensitivity: "ignore",
+    xmlWrapAttributeValues: true
+  });
+
+  expect(formatted).toEqual(`<beans
+  xsi:schemaLocation="
+    http://www.springframework.org/schema/beans http://www.springframework.org/schema/beans/spring-beans.xsd
+  "
+>
+  <div
+    class="
+      alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu
+    "
+    id="x y"
+  />
+  <img
+    alt="A description of the picture that is longer than the print width on its own"
+  />
+  <bean
+    depends-on="
+      first
+      second third
+    "
+  />
+</beans>
+`);
+});
+
+describe("blank lines", () => {
+  const content = `<?xml version="1.0"?>
+
+<!-- header -->
+
+
+<root>
+
+
+  <a />
+
+
+
+  <b />
+
+</root>
+`;
+
+  test("defaults", async () => {
+    const formatted = await format(content, {
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<?xml version="1.0" ?>
+
+<!-- header -->
+
+<root>
+  <a />
+
+  <b />
+</root>
+`);
+  });
+
+  test("xmlMaxBlankLines => 2", async () => {
+    const formatted = await format(content, {
+      xmlMaxBlankLines: 2,
+      xmlRemoveBlankLinesAfterOpenTag: false,
+      xmlRemoveBlankLinesBeforeCloseTag: false,
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<?xml version="1.0" ?>
+
+<!-- header -->
+
+
+<root>
+
+
+  <a />
+
+
+  <b />
+
+</root>
+`);
+  });
+
+  test("xmlMaxBlankLines => 0, xmlBlankLineBeforeRoot => true", async () => {
+    const formatted = await format(content, {
+      xmlBlankLineBeforeRoot: true,
+      xmlMaxBlankLines: 0,
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<?xml version="1.0" ?>
+<!-- header -->
+
+<root>
+  <a />
+  <b />
+</root>
+`);
+  });
+
+  test("xmlMaxBlankLines in a document type definition", async () => {
+    const dtd = `<!DOCTYPE root [
+  <!ELEMENT root (a)>
+
+
+
+  <!ELEMENT a EMPTY>
+]>
+<root><a /></root>
+`;
+
+    expect(await format(dtd, { xmlMaxBlankLines: 2 })).toEqual(`<!DOCTYPE root [
+  <!ELEMENT root (a)>
+
+
+  <!ELEMENT a EMPTY>
+]>
+<root><a /></root>
+`);
+    expect(await format(dtd, { xmlMaxBlankLines: 0 })).toEqual(`<!DOCTYPE root [
+  <!ELEMENT root (a)>
+  <!ELEMENT a EMPTY>
+]>
+<root><a /></root>
+`);
+  });
+});
+
+test("xmlWhitespaceSensitiveElements", async () => {
+  const content = `<book>
+  <programlisting>  a
+     <b>  x   </b>
+  </programlisting>
+  <raw>  <c>   y </c>  </raw>
+  <p xml:space="preserve"> <q>  z  <r xml:space="default">   w   </r></q></p>
+  <x>    <y>  k </y>   </x>
+</book>
+`;
+
+  const formatted = await format(content, {
+    xmlWhitespaceSensitiveElements: ["programlisting", "/^ra/"],
+    xmlWhitespaceSensitivity: "ignore"
+  });
+
+  expect(formatted).toEqual(`<book>
+  <programlisting>  a
+     <b>  x   </b>
+  </programlisting>
+  <raw>  <c>   y </c>  </raw>
+  <p xml:space="preserve"> <q>  z  <r xml:space="default">w</r></q></p>
+  <x>
+    <y>k</y>
+  </x>
+</book>
+`);
+});
+
+test("xmlInlineElements", async () => {
+  const content = `<section>
+  <title>Title</title>
+  <para>Click <guibutton>OK</guibutton> to <emphasis>continue</emphasis>. This is a long sentence with <emphasis>more emphasis</emphasis>, text and <b>x</b>y.</para>
+
+  <para>Some <emphasis> spaced </emphasis>text</para>
+  <para>First, then<!-- c --><b>y</b> <!-- d --> end</para>
+</section>
+`;
+
+  const formatted = await format(content, {
+    xmlInlineElements: ["guibutton", "emphasis", "b"],
+    xmlWhitespaceSensitivity: "ignore"
+  });
+
+  expect(formatted).toEqual(`<section>
+  <title>Title</title>
+  <para>
+    Click <guibutton>OK</guibutton> to <emphasis>continue</emphasis>. This is a
+    long sentence with <emphasis>more emphasis</emphasis>, text and <b>x</b>y.
+  </para>
+
+  <para>Some <emphasis> spaced </emphasis>text</para>
+  <para>First, then<!-- c --><b>y</b> <!-- d --> end</para>
+</section>
+`);
+});
+
+test("range formatting leaves the document unchanged", async () => {
+  const content = `<root>
+  <a   x="1"/>
+      <b   y="2"  >  <c/>  </b>
+  <d/>
+</root>
+`;
+
+  const formatted = await format(content, { rangeStart: 30, rangeEnd: 40 });
+
+  expect(formatted).toEqual(content);
+});
+
+describe("SVG attributes", () => {
+  const content = `<svg xmlns="http://www.w3.org/2000/svg">
+  <path d="M10,20L30 40 l5-5.5h10V.5a1 1 0 00.5.5c1,2,3,4,5,6 s7 8 9 10 zM1e-3 +2 Q1 2 3 4 T5 6 7 8Z" />
+  <polygon points="0,0 10,0  10 10,0,10" />
+  <path d="not path data" />
+</svg>
+`;
+
+  test("xmlSvgAttributes => preserve", async () => {
+    const formatted = await format(content, {
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<svg xmlns="http://www.w3.org/2000/svg">
+  <path
+    d="M10,20L30 40 l5-5.5h10V.5a1 1 0 00.5.5c1,2,3,4,5,6 s7 8 9 10 zM1e-3 +2 Q1 2 3 4 T5 6 7 8Z"
+  />
+  <polygon points="0,0 10,0  10 10,0,10" />
+  <path d="not path data" />
+</svg>
+`);
+  });
+
+  test("xmlSvgAttributes => break", async () => {
+    const formatted = await format(content, {
+      xmlSvgAttributes: "break",
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<svg xmlns="http://www.w3.org/2000/svg">
+  <path
+    d="
+      M10 20 L30 40 l5 -5.5 h10 V.5 a1 1 0 0 0 .5 .5 c1 2 3 4 5 6 s7 8 9 10 z
+      M1e-3 +2 Q1 2 3 4 T5 6 7 8 Z
+    "
+  />
+  <polygon points="0,0 10,0 10,10 0,10" />
+  <path d="not path data" />
+</svg>
+`);
+  });
+
+  test("xmlSvgAttributes => single-line", async () => {
+    const formatted = await format(content, {
+      xmlSvgAttributes: "single-line",
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<svg xmlns="http://www.w3.org/2000/svg">
+  <path
+    d="M10 20 L30 40 l5 -5.5 h10 V.5 a1 1 0 0 0 .5 .5 c1 2 3 4 5 6 s7 8 9 10 z M1e-3 +2 Q1 2 3 4 T5 6 7 8 Z"
+  />
+  <polygon points="0,0 10,0 10,10 0,10" />
+  <path d="not path data" />
+</svg>
+`);
+  });
+
+  test("leaves elements outside of the SVG namespace alone", async () => {
+    const content = `<shapes>\n  <path d="M10,20L30 40" />\n  <polygon points="0,0 10,0  10 10" />\n</shapes>\n`;
+
+    expect(await format(content, { xmlSvgAttributes: "break" })).toEqual(
+      content
+    );
+  });
+});
+
+describe("XPath expressions", () => {
+  test("formats XSLT and Schematron attributes", async () => {
+    const content = `<root xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:sch="http://purl.oclc.org/dsdl/schematron">
+<xsl:template match="book[@lang='en'][position()&lt;=3]|chapter">
+<xsl:if test="@status='published' and count(author)&gt;1 or @featured='yes' and not(@hidden)">
+<xsl:value-of select="concat(title,' - ',author[1]/name)"/>
+</xsl:if>
+</xsl:template>
+<sch:rule context="book"><sch:assert test="@id!=''and  title">Missing</sch:assert></sch:rule>
+<other test="a and b   or c"/>
+</root>
+`;
+
+    const formatted = await format(content, {
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<root
+  xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+  xmlns:sch="http://purl.oclc.org/dsdl/schematron"
+>
+  <xsl:template match="book[@lang = 'en'][position() &lt;= 3] | chapter">
+    <xsl:if
+      test="
+        @status = 'published' and count(author) &gt; 1
+        or @featured = 'yes' and not(@hidden)
+      "
+    >
+      <xsl:value-of select="concat(title, ' - ', author[1]/name)" />
+    </xsl:if>
+  </xsl:template>
+  <sch:rule context="book">
+    <sch:assert test="@id != '' and title">Missing</sch:assert>
+  </sch:rule>
+  <other test="a and b   or c" />
+</root>
+`);
+  });
+
+  test("embeddedLanguageFormatting => off", async () => {
+    const content = `<xsl:if xmlns:xsl="http://www.w3.org/1999/XSL/Transform" test="@a=1"/>\n`;
+    const formatted = await format(content, {
+      embeddedLanguageFormatting: "off"
+    });
+
+    expect(formatted).toEqual(content.replace("/>", " />"));
+  });
+
+  test("keeps occurrence indicators with their sequence types", async () => {
+    const content = `<xsl:stylesheet xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+<xsl:if test="$x instance of xs:string* and $y"/>
+<xsl:if test="$x instance of item()* and count(..)"/>
+<xsl:if test="$x treat as element(a, b)+ or $x cast as xs:integer? = 2"/>
+<xsl:if test="$x * 2 and $y"/>
+</xsl:stylesheet>
+`;
+
+    expect(await format(content))
+      .toEqual(`<xsl:stylesheet xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+<xsl:if test="$x instance of xs:string* and $y" />
+<xsl:if test="$x instance of item()* and count(..)" />
+<xsl:if test="$x treat as element(a, b)+ or $x cast as xs:integer? = 2" />
+<xsl:if test="$x * 2 and $y" />
+</xsl:stylesheet>
+`);
+  });
+});
+
+describe("xmlSortChildren", () => {
+  const content = `<project>
+  <dependencies>
+    <!-- web -->
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>web</artifactId>
+    </dependency>
+    <dependency><groupId>junit</groupId><artifactId>junit</artifactId></dependency> <!-- tests -->
+
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>core</artifactId>
+    </dependency>
+  </dependencies>
+  <resources>
+    <string name="zeta">Z</string>
+    <other />
+    <string name="alpha">A</string>
+  </resources>
+  <p><string name="b" /> text <string name="a" /></p>
+</project>
+`;
+
+  test("sorts children by attributes and child elements", async () => {
+    const formatted = await format(content, {
+      xmlSortChildren: [
+        "dependencies/dependency[groupId,artifactId]",
+        "*/string[@name]"
+      ],
+      xmlWhitespaceSensitivity: "ignore"
+    });
+
+    expect(formatted).toEqual(`<project>
+  <dependencies>
+    <dependency>
+      <groupId>junit</groupId>
+      <artifactId>junit</artifactId>
+    </dependency> <!-- tests -->
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>core</artifactId>
+    </dependency>
+
+    <!-- web -->
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>web</artifactId>
+    </dependency>
+  </dependencies>
+  <resources>
+    <string name="alpha">A</string>
+    <other />
+    <string name="zeta">Z</string>
+  </resources>
+  <p>
+    <string name="b" />
+    text
+    <string name="a" />
+  </p>
+</project>
+`);
+  });
+
+  test("compares keys by code units", async () => {
+    const formatted = await format(
+      `<r>\n  <s n="b" />\n  <s n="B" />\n  <s n="a" />\n  <s n="é" />\n</r>\n`,
+      { xmlSortChildren: ["r/s[@n]"], xmlWhitespaceSensitivity: "ignore" }
+    );
+
+    expect(formatted).toEqual(
+      `<r>\n  <s n="B" />\n  <s n="a" />\n  <s n="b" />\n  <s n="é" />\n</r>\n`
+    );
+  });
+
+  test("keeps the order when whitespace is strict", async () => {
+    const formatted = await format(content, {
+      xmlSortChildren: ["resources/string[@name]"]
+    });
+
+    expect(formatted).toContain(`<string name="zeta">Z</string>
+    <other />
+    <string name="alpha">A</string>`);
+  });
+
+  test("throws on invalid rules", async () => {
+    await expect(
+      format(content, {
+        xmlSortChildren: ["dependency[groupId]"],
+        xmlWhitespaceSensitivity: "ignore"
+      })
+    ).rejects.toThrow("Invalid xmlSortChildren entry: dependency[groupId]");
+  });
+});
+
+describe("encoding", () => {
+  test("keeps the byte order mark", async () => {
+    const formatted = await format(`\uFEFF<?xml version="1.0"?>\n<a/>\n`);
+
+    expect(formatted).toEqual(`\uFEFF<?xml version="1.0" ?>\n<a />\n`);
+  });
+
+  test("allows characters in the declared encoding", async () => {
+    const content = `<?xml version="1.0" encoding="ISO-8859-1" ?>\n<a>café &#x2603;</a>\n`;
+
+    expect(await format(content)).toEqual(content);
+  });
+
+  test("throws on characters outside of the declared encoding", async () => {
+    const content = `<?xml version="1.0" encoding="ISO-8859-1"?>\n<a>☃</a>\n`;
+
+    await expect(format(content)).rejects.toThrow(
+      new SyntaxError(
+        `The character "☃" (U+2603) can't be written in the declared encoding ISO-8859-1 (2:4)`
+      )
+    );
+    await expect(
+      format(content.replace("☃", "x&#x2603;"), {
+        xmlCharacterReferences: "literal"
+      })
+    ).rejects.toThrow(
+      `The character "☃" (U+2603) can't be written in the declared encoding ISO-8859-1 (2:5)`
+    );
+  });
+
+  test("checks the characters that the ascii mode escapes", async () => {
+    const content = `<?xml version="1.0" encoding="US-ASCII"?>\n<a b="☃">☃<!-- ☃ --></a>\n`;
+
+    await expect(
+      format(content, { xmlCharacterReferences: "ascii" })
+    ).rejects.toThrow(
+      `The character "☃" (U+2603) can't be written in the declared encoding US-ASCII (2:16)`
+    );
+    expect(
+      await format(content.replace("<!-- ☃ -->", ""), {
+        xmlCharacterReferences: "ascii"
+      })
+    ).toEqual(
+      `<?xml version="1.0" encoding="US-ASCII" ?>\n<a b="&#x2603;">&#x2603;</a>\n`
+    );
+  });
+});
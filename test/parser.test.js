@@ -1,4 +1,4 @@
-import parser from "../src/parser.js";
+import parser, { diagnose, parse } from "../src/parser.js";
 
 test("parseError", () => {
   const expected = new SyntaxError(
@@ -10,3 +10,107 @@ test("parseError", () => {
 
   expect(() => parser.parse("<foo /")).toThrow(expected);
 });
+
+test("doctype internal subset", () => {
+  const { docTypeDecl } = parser.parse(
+    '<!DOCTYPE a [<!ENTITY b "c"> %d;]>\n<a>&b;</a>'
+  );
+
+  expect(docTypeDecl.intSubset.markupdecl.map(({ name }) => name)).toEqual([
+    "entityDecl",
+    "peReference"
+  ]);
+});
+
+test("doctype internal subset error", () => {
+  const expected = new SyntaxError(
+    "Unexpected character '<' in internal subset (2:3)"
+  );
+
+  expect(() => parser.parse("<!DOCTYPE a [\n  <b>\n]>\n<a />")).toThrow(
+    expected
+  );
+});
+
+test("hexadecimal character references", () => {
+  const { element } = parser.parse("<a>&#xA0;b&#x1F600;</a>");
+  const { chardata, reference } = element.content;
+
+  expect(reference.map(({ CharRef }) => CharRef)).toEqual([
+    "&#xA0;",
+    "&#x1F600;"
+  ]);
+  expect(chardata.map(({ TEXT }) => TEXT)).toEqual(["b"]);
+  expect(chardata[0].location.startOffset).toEqual(9);
+});
+
+test("parseError with multiple errors", () => {
+  let error;
+
+  try {
+    parser.parse("<a>\n<b x=1></b>\n<c");
+  } catch (caught) {
+    error = caught;
+  }
+
+  expect(error).toBeInstanceOf(SyntaxError);
+  expect(error.errors.map(({ loc }) => loc.start)).toEqual([
+    { line: 2, column: 6 },
+    { line: 2, column: 6 },
+    { line: 3, column: 3 }
+  ]);
+});
+
+test("diagnose", () => {
+  expect(diagnose("<a />")).toEqual([]);
+  expect(diagnose("<!DOCTYPE a [\n  <!ELEMENT a>\n  junk\n]>\n<a />")).toEqual([
+    {
+      message: "Expected a content specification in element declaration",
+      loc: { start: { line: 2, column: 14 }, end: { line: 2, column: 14 } }
+    },
+    {
+      message: "Unexpected character 'j' in internal subset",
+      loc: { start: { line: 3, column: 3 }, end: { line: 3, column: 3 } }
+    }
+  ]);
+});
+
+test("locStart and locEnd", () => {
+  const text = "<a>\n  <b />\n</a>";
+  const { element } = parser.parse(text);
+  const [child] = element.content.element;
+
+  expect(text.slice(parser.locStart(child), parser.locEnd(child))).toEqual(
+    "<b />"
+  );
+});
+
+test("parse", () => {
+  const ast = parse('<?xml version="1.0"?>\n<a b="c">d</a>');
+
+  expect(ast.name).toEqual("document");
+  expect(ast.prolog.attribute[0].Name).toEqual("version");
+  expect(ast.element.attribute[0].STRING).toEqual('"c"');
+  expect(ast.element.content.chardata[0].TEXT).toEqual("d");
+  expect(() => parse("<a>")).toThrow(SyntaxError);
+});
+
+test("byte order mark", () => {
+  const ast = parse(`\uFEFF<?xml version="1.0"?>\n<a />`);
+
+  expect(ast.prolog.attribute[0].Name).toEqual("version");
+  expect(diagnose("\uFEFF<a />")).toEqual([]);
+});
+
+test("byte order mark locations", () => {
+  const { element } = parse(`\uFEFF<root><a b="c" />\n<d /></root>`);
+  const [a, d] = element.content.element;
+
+  expect(a.location.startOffset).toEqual(7);
+  expect(a.location.startColumn).toEqual(8);
+  expect(d.location.startOffset).toEqual(19);
+  expect(d.location.startColumn).toEqual(1);
+
+  const [error] = diagnose(`\uFEFF<a b"c" />`);
+  expect(error.loc.start).toEqual({ line: 1, column: 6 });
+});
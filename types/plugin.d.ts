@@ -1,4 +1,258 @@
 import type { Plugin } from "prettier";
 
-declare const plugin: Plugin;
+// The location of a node in the source text. Lines and columns are 1-based,
+// and the end offset is the offset of the last character of the node.
+export interface Location {
+  startOffset: number;
+  startLine: number;
+  startColumn: number;
+  endOffset: number;
+  endLine: number;
+  endColumn: number;
+}
+
+// A token from the lexer, which is how comments, CDATA sections, and
+// processing instructions inside of elements are represented.
+export interface Token {
+  image: string;
+  startOffset: number;
+  startLine: number;
+  startColumn: number;
+  endOffset: number;
+  endLine: number;
+  endColumn: number;
+}
+
+export interface Attribute {
+  name: "attribute";
+  Name: string;
+  EQUALS: string;
+  STRING: string;
+  location: Location;
+}
+
+export interface CharData {
+  name: "chardata";
+  SEA_WS: string | null;
+  TEXT: string | null;
+  location: Location;
+}
+
+export interface Content {
+  name: "content";
+  CData: Token[];
+  Comment: Token[];
+  chardata: CharData[];
+  element: Element[];
+  PROCESSING_INSTRUCTION: Token[];
+  reference: Reference[];
+  location: Location;
+}
+
+export interface DocTypeDecl {
+  name: "docTypeDecl";
+  DocType: string;
+  Name: string;
+  externalID: ExternalID | null;
+  intSubset: IntSubset | null;
+  CLOSE: string;
+  location: Location;
+}
+
+export interface Document {
+  name: "document";
+  docTypeDecl: DocTypeDecl | null;
+  element: Element | null;
+  misc: Misc[];
+  prolog: Prolog | null;
+  location: Location;
+}
+
+export interface Element {
+  name: "element";
+  OPEN: string;
+  Name: string;
+  attribute: Attribute[];
+  START_CLOSE: string | null;
+  content: Content | null;
+  SLASH_OPEN: string | null;
+  END_NAME: string | null;
+  END: string | null;
+  SLASH_CLOSE: string | null;
+  location: Location;
+}
+
+export interface ExternalID {
+  name: "externalID";
+  Public: string | null;
+  PubIDLiteral: string | null;
+  System: string | null;
+  SystemLiteral: string | null;
+  location: Location;
+}
+
+export interface Misc {
+  name: "misc";
+  Comment: string | null;
+  PROCESSING_INSTRUCTION: string | null;
+  SEA_WS: string | null;
+  location: Location;
+}
+
+export interface Prolog {
+  name: "prolog";
+  XMLDeclOpen: string;
+  attribute: Attribute[];
+  SPECIAL_CLOSE: string;
+  location: Location;
+}
+
+export interface Reference {
+  name: "reference";
+  CharRef: string | null;
+  EntityRef: string | null;
+  location: Location;
+}
+
+// The internal subset of a DOCTYPE declaration, between its [ and ].
+export interface IntSubset {
+  name: "intSubset";
+  OPEN: "[";
+  markupdecl: MarkupDecl[];
+  CLOSE: "]";
+  location: Location;
+}
+
+export type MarkupDecl =
+  | AttlistDecl
+  | ElementDecl
+  | EntityDecl
+  | Misc
+  | NotationDecl
+  | PEReference;
+
+export interface AttDef {
+  name: "attDef";
+  Name: string;
+  AttType: string;
+  DefaultDecl: string | null;
+  AttValue: string | null;
+  location: Location;
+}
+
+export interface AttlistDecl {
+  name: "attlistDecl";
+  OPEN: "<!ATTLIST";
+  Name: string;
+  attDef: AttDef[];
+  CLOSE: ">";
+  location: Location;
+}
+
+export interface ElementDecl {
+  name: "elementDecl";
+  OPEN: "<!ELEMENT";
+  Name: string;
+  contentspec: string;
+  CLOSE: ">";
+  location: Location;
+}
+
+export interface EntityDecl {
+  name: "entityDecl";
+  OPEN: "<!ENTITY";
+  PERCENT: "%" | null;
+  Name: string;
+  EntityValue: string | null;
+  externalID: ExternalID | null;
+  NDATA: string | null;
+  NDataName: string | null;
+  CLOSE: ">";
+  location: Location;
+}
+
+export interface NotationDecl {
+  name: "notationDecl";
+  OPEN: "<!NOTATION";
+  Name: string;
+  externalID: ExternalID;
+  CLOSE: ">";
+  location: Location;
+}
+
+export interface PEReference {
+  name: "peReference";
+  PEReference: string;
+  location: Location;
+}
+
+export type Node =
+  | AttDef
+  | AttlistDecl
+  | Attribute
+  | CharData
+  | Content
+  | DocTypeDecl
+  | Document
+  | Element
+  | ElementDecl
+  | EntityDecl
+  | ExternalID
+  | IntSubset
+  | Misc
+  | NotationDecl
+  | PEReference
+  | Prolog
+  | Reference;
+
+export interface Diagnostic {
+  message: string;
+  loc: {
+    start: { line: number; column: number };
+    end: { line: number; column: number };
+  };
+}
+
+// The error thrown by parse, which has the location of the first error and
+// the full list of errors that were found.
+export interface ParseError extends SyntaxError {
+  loc: Diagnostic["loc"];
+  errors: Diagnostic[];
+}
+
+// The options that the plugin adds to prettier.
+export interface XMLOptions {
+  xmlAttributeOrder?: string[];
+  xmlBlankLineBeforeRoot?: boolean;
+  xmlCharacterReferences?: "preserve" | "hex" | "decimal" | "literal" | "ascii";
+  xmlCommentFormatting?: "preserve" | "reindent" | "reflow";
+  xmlDeclaration?: "preserve" | "always" | "never";
+  xmlEmbeddedLanguages?: string[];
+  xmlEmbeddedMimeTypes?: string[];
+  xmlInlineElements?: string[];
+  xmlMaxBlankLines?: number;
+  xmlNormalizeDeclaration?: boolean;
+  xmlQuoteAttributes?: "preserve" | "single" | "double" | "auto";
+  xmlRemoveBlankLinesAfterOpenTag?: boolean;
+  xmlRemoveBlankLinesBeforeCloseTag?: boolean;
+  xmlSelfClosingSpace?: boolean;
+  xmlSortAttributesByKey?: boolean;
+  xmlSortChildren?: string[];
+  xmlSvgAttributes?: "preserve" | "break" | "single-line";
+  xmlWhitespaceSensitiveElements?: string[];
+  xmlWhitespaceSensitivity?: "strict" | "preserve" | "ignore";
+  xmlWrapAttributeValues?: boolean;
+}
+
+declare module "prettier" {
+  interface Options extends XMLOptions {}
+}
+
+export function diagnose(text: string): Diagnostic[];
+export function parse(text: string): Document;
+
+declare const plugin: Plugin<Node> & {
+  diagnose: typeof diagnose;
+  parse: typeof parse;
+};
 export default plugin;